@@ -1,9 +1,51 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Admin, { ADMIN_ROLES } from "../models/Admin.js";
+import Report, { REPORT_ACTIONS, REPORT_TARGET_TYPES } from "../models/Report.js";
+import AdminAuditLog, { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from "../models/AdminAuditLog.js";
+import Appeal, { APPEAL_STATUSES } from "../models/Appeal.js";
+import { AUDITED_USER_FIELDS, snapshot, recordAdminAction } from "../utils/audit.js";
+import { suspensionError } from "../utils/suspension.js";
+import { disconnectUser } from "../utils/socket.js";
+import {
+  TWO_FACTOR_SELECT,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  checkTwoFactorCode,
+  disableTwoFactor,
+} from "../utils/twoFactor.js";
+import { loginKeys, rejectIfThrottled, recordLoginFailure, clearLoginFailures } from "../utils/loginThrottle.js";
 
-// Load env variables for admin
-const ADMIN_USER = process.env.ADMIN_USER || "admin";
-const ADMIN_PASS = process.env.ADMIN_PASS || "admin123";
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "static-admin-token";
+// Admin tokens can use their own secret; they are told apart from user tokens by `type`.
+// Read lazily: server.js imports this module before loading .env
+const adminSecret = () => process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET;
+const adminTokenTtl = () => process.env.ADMIN_TOKEN_TTL || "8h";
+const MIN_ADMIN_PASSWORD_LENGTH = 12;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const twoFactorRequired = () => process.env.ADMIN_REQUIRE_2FA === "true";
+
+const issueAdminToken = async (admin) => {
+  admin.lastLoginAt = new Date();
+  await admin.save();
+
+  const token = jwt.sign({ sub: String(admin._id), role: admin.role, type: "admin" }, adminSecret(), {
+    expiresIn: adminTokenTtl(),
+  });
+  return { token, expiresIn: adminTokenTtl(), admin };
+};
+
+const handleAdminLoginFailure = async (keys) => {
+  const locked = await recordLoginFailure([keys.account, keys.ip]);
+  locked.forEach(({ key, lockedUntil }) =>
+    console.warn(`Admin login locked for ${key} until ${lockedUntil.toISOString()} after repeated failures`)
+  );
+};
+
+const signAdminChallenge = (admin) =>
+  jwt.sign({ sub: String(admin._id), type: "admin_2fa_challenge" }, adminSecret(), {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
 
 // ------------------- ADMIN LOGIN -------------------
 export const adminLogin = async (req, res) => {
@@ -14,26 +56,215 @@ export const adminLogin = async (req, res) => {
       return res.status(400).json({ message: "Username and password are required" });
     }
 
-    if (username === ADMIN_USER && password === ADMIN_PASS) {
-      return res.status(200).json({ token: ADMIN_TOKEN });
+    const keys = loginKeys("admin", username, req.ip);
+    if (await rejectIfThrottled(keys, res)) return;
+
+    const admin = await Admin.findOne({ username: String(username).trim() }).select(TWO_FACTOR_SELECT);
+    if (!admin || !admin.active || !(await admin.comparePassword(password))) {
+      await handleAdminLoginFailure(keys);
+      return res.status(401).json({ message: "Invalid admin credentials" });
+    }
+
+    // The password alone only earns a challenge for POST /login/2fa
+    if (admin.twoFactor?.enabled) {
+      return res.status(200).json({ twoFactorRequired: true, challengeToken: signAdminChallenge(admin) });
     }
 
-    return res.status(401).json({ message: "Invalid admin credentials" });
+    // When 2FA is mandatory, admins without it enroll as part of signing in
+    if (twoFactorRequired()) {
+      const { secret, otpauthUrl } = beginTwoFactorSetup(admin, admin.username);
+      await admin.save();
+      return res.status(200).json({
+        twoFactorSetupRequired: true,
+        challengeToken: signAdminChallenge(admin),
+        secret,
+        otpauthUrl,
+      });
+    }
+
+    // Counters are only reset once the whole login (including 2FA) succeeded
+    await clearLoginFailures(keys.account);
+    return res.status(200).json(await issueAdminToken(admin));
   } catch (err) {
     console.error("Admin login error:", err);
     return res.status(500).json({ message: "Server error" });
   }
 };
 
+// ------------------- ADMIN LOGIN 2FA -------------------
+export const adminLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, adminSecret());
+    } catch (err) {
+      return res.status(401).json({ message: "Login challenge expired, please log in again" });
+    }
+    if (decoded.type !== "admin_2fa_challenge" || !mongoose.Types.ObjectId.isValid(decoded.sub)) {
+      return res.status(401).json({ message: "Invalid login challenge" });
+    }
+
+    const admin = await Admin.findById(decoded.sub).select(TWO_FACTOR_SELECT);
+    if (!admin || !admin.active) return res.status(401).json({ message: "Invalid login challenge" });
+
+    const keys = loginKeys("admin", admin.username, req.ip);
+    if (await rejectIfThrottled(keys, res)) return;
+
+    // Finishing a mandatory enrollment started by adminLogin
+    if (!admin.twoFactor?.enabled) {
+      const recoveryCodes = admin.twoFactor?.pendingSecret ? confirmTwoFactorSetup(admin, code) : null;
+      if (!recoveryCodes) {
+        await handleAdminLoginFailure(keys);
+        return res.status(401).json({ message: "Invalid two-factor code" });
+      }
+      await clearLoginFailures(keys.account);
+      return res.status(200).json({ ...(await issueAdminToken(admin)), recoveryCodes });
+    }
+
+    if (!checkTwoFactorCode(admin, code)) {
+      await handleAdminLoginFailure(keys);
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+    await clearLoginFailures(keys.account);
+    return res.status(200).json(await issueAdminToken(admin));
+  } catch (err) {
+    console.error("Admin 2FA login error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 // ------------------- ADMIN MIDDLEWARE -------------------
-export const requireAdmin = (req, res, next) => {
+export const requireAdmin = async (req, res, next) => {
   const token = req.headers["x-admin-token"] || req.headers["authorization"]?.replace("Bearer ", "");
-  if (!token || token !== ADMIN_TOKEN) {
+  if (!token) {
+    return res.status(401).json({ message: "Admin authorization required" });
+  }
+
+  try {
+    const decoded = jwt.verify(token, adminSecret());
+    if (decoded.type !== "admin" || !mongoose.Types.ObjectId.isValid(decoded.sub)) {
+      return res.status(401).json({ message: "Admin authorization required" });
+    }
+
+    const admin = await Admin.findById(decoded.sub);
+    if (!admin || !admin.active) {
+      return res.status(401).json({ message: "Admin authorization required" });
+    }
+    // Tokens issued before 2FA became mandatory stop working until the admin enrolls
+    if (twoFactorRequired() && !admin.twoFactor?.enabled) {
+      return res.status(401).json({ message: "Two-factor authentication required, please log in again" });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (err) {
     return res.status(401).json({ message: "Admin authorization required" });
   }
+};
+
+// Use after requireAdmin: only lets admins whose role grants `permission` through
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin?.can(permission)) {
+    return res.status(403).json({ message: `Missing admin permission: ${permission}` });
+  }
   next();
 };
 
+// ------------------- CURRENT ADMIN -------------------
+export const getAdminMe = (req, res) => {
+  res.json(req.admin);
+};
+
+// ------------------- ADMIN 2FA SETUP -------------------
+export const setupAdminTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_SELECT);
+    if (admin.twoFactor?.enabled) return res.status(409).json({ message: "Two-factor authentication is already on" });
+
+    const { secret, otpauthUrl } = beginTwoFactorSetup(admin, admin.username);
+    await admin.save();
+    res.json({ secret, otpauthUrl });
+  } catch (err) {
+    console.error("Admin 2FA setup error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+export const verifyAdminTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_SELECT);
+    if (admin.twoFactor?.enabled) return res.status(409).json({ message: "Two-factor authentication is already on" });
+    if (!admin.twoFactor?.pendingSecret) return res.status(400).json({ message: "Start setup first" });
+
+    const recoveryCodes = confirmTwoFactorSetup(admin, req.body.code);
+    if (!recoveryCodes) return res.status(400).json({ message: "Invalid two-factor code" });
+    await admin.save();
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (err) {
+    console.error("Admin 2FA verify error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+export const disableAdminTwoFactor = async (req, res) => {
+  try {
+    if (twoFactorRequired()) {
+      return res.status(403).json({ message: "Two-factor authentication is mandatory for admins" });
+    }
+
+    const { password, code } = req.body;
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_SELECT);
+    if (!admin.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is not on" });
+    if (!password || !(await admin.comparePassword(password))) {
+      return res.status(400).json({ message: "Invalid admin credentials" });
+    }
+    if (!checkTwoFactorCode(admin, code)) return res.status(400).json({ message: "Invalid two-factor code" });
+
+    disableTwoFactor(admin);
+    await admin.save();
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("Admin 2FA disable error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Create an admin account (used by the CLI and startup bootstrap)
+ * @param {Object} data
+ * @param {string} data.username - Admin username
+ * @param {string} data.password - Plain-text password, hashed by the model
+ * @param {string} [data.role] - One of ADMIN_ROLES
+ * @returns {Promise<Object>} The created admin
+ */
+export const createAdminAccount = async ({ username, password, role = "superadmin" }) => {
+  if (!username || !String(username).trim()) throw new Error("Admin username is required");
+  if (!password || password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    throw new Error(`Admin password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!ADMIN_ROLES.includes(role)) throw new Error(`Admin role must be one of: ${ADMIN_ROLES.join(", ")}`);
+
+  return Admin.create({ username: String(username).trim(), password, role });
+};
+
+// Create the first superadmin from ADMIN_BOOTSTRAP_USERNAME/PASSWORD when no admin exists yet
+export const ensureBootstrapAdmin = async () => {
+  const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  if (!username || !password) return;
+
+  try {
+    if (await Admin.exists({})) return;
+    await createAdminAccount({ username, password, role: "superadmin" });
+    console.log(`Bootstrapped superadmin "${username}". Remove ADMIN_BOOTSTRAP_PASSWORD from the environment.`);
+  } catch (err) {
+    console.error("Admin bootstrap error:", err.message);
+  }
+};
+
 // ------------------- LIST USERS -------------------
 export const listUsers = async (req, res) => {
   try {
@@ -61,10 +292,19 @@ export const listUsers = async (req, res) => {
   }
 };
 
+// Audited fields of a user before an admin action, or null when the user doesn't exist
+const findAuditedUser = (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return User.findById(userId).select(AUDITED_USER_FIELDS.join(" ")).lean();
+};
+
 // ------------------- APPROVE VISIBILITY -------------------
 export const approveVisibility = async (req, res) => {
   try {
     const { userId } = req.params;
+    const before = await findAuditedUser(userId);
+    if (!before) return res.status(404).json({ message: "User not found" });
+
     const user = await User.findByIdAndUpdate(
       userId,
       { visibilityApproved: true, visibilityRequested: false, visible: true },
@@ -72,6 +312,14 @@ export const approveVisibility = async (req, res) => {
     ).select("-password");
 
     if (!user) return res.status(404).json({ message: "User not found" });
+    await recordAdminAction(req, {
+      action: "user.approve_visibility",
+      targetType: "user",
+      targetId: user._id,
+      before: snapshot(before),
+      after: snapshot(user),
+      reason: req.body?.reason,
+    });
     res.json(user);
   } catch (err) {
     console.error("Approve visibility error:", err);
@@ -90,8 +338,19 @@ export const setVerify = async (req, res) => {
       ? { isVerified: true, visibilityApproved: true, visibilityRequested: false, visible: true }
       : { isVerified: false, visibilityApproved: false, visibilityRequested: false, visible: false };
 
+    const before = await findAuditedUser(userId);
+    if (!before) return res.status(404).json({ message: "User not found" });
+
     const user = await User.findByIdAndUpdate(userId, update, { new: true }).select("-password");
     if (!user) return res.status(404).json({ message: "User not found" });
+    await recordAdminAction(req, {
+      action: isVerified ? "user.verify" : "user.unverify",
+      targetType: "user",
+      targetId: user._id,
+      before: snapshot(before),
+      after: snapshot(user),
+      reason: req.body.reason,
+    });
     res.json(user);
   } catch (err) {
     console.error("Set verify error:", err);
@@ -99,13 +358,90 @@ export const setVerify = async (req, res) => {
   }
 };
 
+/**
+ * Read the optional suspension end from a request body: `expiresAt` (date) or `durationHours`
+ * @param {Object} body - Request body
+ * @returns {{expiresAt?: Date, error?: string}} No expiresAt means indefinite
+ */
+const parseSuspensionEnd = (body = {}) => {
+  if (body.expiresAt) {
+    const expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return { error: "expiresAt must be a future date" };
+    }
+    return { expiresAt };
+  }
+  if (body.durationHours !== undefined && body.durationHours !== null && body.durationHours !== "") {
+    const hours = Number(body.durationHours);
+    if (!Number.isFinite(hours) || hours <= 0) return { error: "durationHours must be a positive number" };
+    return { expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000) };
+  }
+  return {};
+};
+
+// Shared by the suspend route, report resolutions and appeals; records the change in the audit log.
+// `conditions` narrows which state of the user may be changed (null when it no longer matches).
+const applySuspension = async (req, userId, suspended, reason, expiresAt, conditions = {}) => {
+  const before = await findAuditedUser(userId);
+  if (!before) return null;
+
+  const update = suspended
+    ? {
+        $set: {
+          suspended: true,
+          suspension: {
+            reason: typeof reason === "string" ? reason : "",
+            startedAt: new Date(),
+            expiresAt,
+            suspendedBy: req.admin.username,
+          },
+        },
+      }
+    : { $set: { suspended: false }, $unset: { suspension: 1 } };
+
+  const user = await User.findOneAndUpdate({ _id: userId, ...conditions }, update, { new: true }).select("-password");
+  if (!user) return null;
+
+  // Cut off live sessions straight away; HTTP requests are rejected by the auth middleware
+  if (suspended) disconnectUser(req.app, user._id, "accountSuspended", suspensionError(user));
+
+  await recordAdminAction(req, {
+    action: suspended ? "user.suspend" : "user.unsuspend",
+    targetType: "user",
+    targetId: user._id,
+    before: snapshot(before),
+    after: snapshot(user),
+    reason,
+  });
+  return user;
+};
+
+// Shared by the delete route and report resolutions; records the change in the audit log
+const removeUser = async (req, userId, reason) => {
+  const user = await User.findByIdAndDelete(userId);
+  if (!user) return null;
+
+  await recordAdminAction(req, {
+    action: "user.delete",
+    targetType: "user",
+    targetId: user._id,
+    before: snapshot(user),
+    after: null,
+    reason,
+  });
+  return user;
+};
+
 // ------------------- SET SUSPEND -------------------
 export const setSuspend = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { suspended } = req.body;
+    const { suspended, reason } = req.body;
+
+    const { expiresAt, error } = suspended ? parseSuspensionEnd(req.body) : {};
+    if (error) return res.status(400).json({ message: error });
 
-    const user = await User.findByIdAndUpdate(userId, { suspended: Boolean(suspended) }, { new: true }).select("-password");
+    const user = await applySuspension(req, userId, suspended, reason, expiresAt);
     if (!user) return res.status(404).json({ message: "User not found" });
     res.json(user);
   } catch (err) {
@@ -118,7 +454,9 @@ export const setSuspend = async (req, res) => {
 export const deleteUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const user = await User.findByIdAndDelete(userId);
+    if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(404).json({ message: "User not found" });
+
+    const user = await removeUser(req, userId, req.body?.reason);
     if (!user) return res.status(404).json({ message: "User not found" });
     res.json({ message: "User deleted" });
   } catch (err) {
@@ -126,3 +464,312 @@ export const deleteUser = async (req, res) => {
     res.status(500).json({ message: err.message });
   }
 };
+
+// ------------------- LIST REPORTS -------------------
+export const listReports = async (req, res) => {
+  try {
+    const { status, targetType, reason, reportedUser } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 100);
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (targetType) {
+      if (!REPORT_TARGET_TYPES.includes(targetType)) return res.status(400).json({ message: "Invalid targetType" });
+      filter.targetType = targetType;
+    }
+    if (reason) filter.reason = reason;
+    if (reportedUser) {
+      if (!mongoose.Types.ObjectId.isValid(reportedUser)) return res.status(400).json({ message: "Invalid reportedUser" });
+      filter.reportedUser = reportedUser;
+    }
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .populate("reporter", "name username email")
+        .populate("reportedUser", "name username email suspended")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Report.countDocuments(filter),
+    ]);
+
+    res.json({ reports, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error("List reports error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Close an open report and record the decision
+const decideReport = async (req, res, status) => {
+  const { reportId } = req.params;
+  const action = status === "dismissed" ? "none" : req.body.action || "none";
+  const note = typeof req.body.note === "string" ? req.body.note : "";
+
+  if (!REPORT_ACTIONS.includes(action)) {
+    return res.status(400).json({ message: `action must be one of: ${REPORT_ACTIONS.join(", ")}` });
+  }
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    return res.status(400).json({ message: "Invalid report id" });
+  }
+
+  // Resolving a report can't do more than the admin could do directly
+  const required = { suspend: "users:moderate", delete_user: "users:delete" }[action];
+  if (required && !req.admin.can(required)) {
+    return res.status(403).json({ message: `Missing admin permission: ${required}` });
+  }
+
+  const existing = await Report.findById(reportId).select("status reportedUser");
+  if (!existing) return res.status(404).json({ message: "Report not found" });
+  if (existing.status !== "open") {
+    return res.status(409).json({ message: `Report already ${existing.status}` });
+  }
+
+  // Check everything the action needs before the report is closed
+  let expiresAt;
+  if (action === "suspend") {
+    const parsed = parseSuspensionEnd(req.body);
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    expiresAt = parsed.expiresAt;
+  }
+  if (action !== "none" && !(await User.exists({ _id: existing.reportedUser }))) {
+    return res.status(404).json({ message: "Reported user no longer exists" });
+  }
+
+  // Claim the report in one step, so two admins deciding at once can't both act on it
+  const decidedBy = req.admin.username;
+  const decidedAt = new Date();
+  const report = await Report.findOneAndUpdate(
+    { _id: reportId, status: "open" },
+    {
+      $set: { status, resolution: { action, note, decidedBy, decidedAt } },
+      $push: { history: { status, action, note, by: decidedBy, at: decidedAt } },
+    },
+    { new: true }
+  );
+  if (!report) return res.status(409).json({ message: "Report already decided" });
+
+  // Chain into the regular admin actions against the reported user
+  const reason = `Report ${report._id} (${report.reason})${note ? `: ${note}` : ""}`;
+  if (action === "suspend") {
+    await applySuspension(req, report.reportedUser, true, reason, expiresAt);
+  } else if (action === "delete_user") {
+    await removeUser(req, report.reportedUser, reason);
+  }
+
+  await recordAdminAction(req, {
+    action: status === "dismissed" ? "report.dismiss" : "report.resolve",
+    targetType: "report",
+    targetId: report._id,
+    before: { status: "open" },
+    after: { status, action },
+    reason: note,
+  });
+
+  res.json(report);
+};
+
+// ------------------- RESOLVE REPORT -------------------
+export const resolveReport = async (req, res) => {
+  try {
+    await decideReport(req, res, "resolved");
+  } catch (err) {
+    console.error("Resolve report error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- DISMISS REPORT -------------------
+export const dismissReport = async (req, res) => {
+  try {
+    await decideReport(req, res, "dismissed");
+  } catch (err) {
+    console.error("Dismiss report error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- LIST APPEALS -------------------
+export const listAppeals = async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 100);
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+
+    if (!APPEAL_STATUSES.includes(status)) return res.status(400).json({ message: "Invalid status" });
+
+    // Oldest first, so appeals are handled in the order they came in
+    const [appeals, total] = await Promise.all([
+      Appeal.find({ status })
+        .populate("user", "name username email suspended suspension")
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Appeal.countDocuments({ status }),
+    ]);
+
+    res.json({ appeals, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error("List appeals error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Close a pending appeal; approving it lifts the suspension
+const decideAppeal = async (req, res, status) => {
+  const { appealId } = req.params;
+  const note = typeof req.body.note === "string" ? req.body.note : "";
+
+  if (!mongoose.Types.ObjectId.isValid(appealId)) {
+    return res.status(400).json({ message: "Invalid appeal id" });
+  }
+  if (status === "approved" && !req.admin.can("users:moderate")) {
+    return res.status(403).json({ message: "Missing admin permission: users:moderate" });
+  }
+
+  // Claim the appeal in one step, so two admins deciding at once can't both act on it
+  const appeal = await Appeal.findOneAndUpdate(
+    { _id: appealId, status: "pending" },
+    { $set: { status, decision: { note, decidedBy: req.admin.username, decidedAt: new Date() } } },
+    { new: true }
+  );
+  if (!appeal) {
+    const existing = await Appeal.findById(appealId).select("status");
+    if (!existing) return res.status(404).json({ message: "Appeal not found" });
+    return res.status(409).json({ message: `Appeal already ${existing.status}` });
+  }
+
+  // Only lift the suspension that was appealed, not one imposed since
+  if (status === "approved") {
+    await applySuspension(
+      req,
+      appeal.user,
+      false,
+      `Appeal ${appeal._id} approved${note ? `: ${note}` : ""}`,
+      undefined,
+      { suspended: true, "suspension.startedAt": appeal.suspension?.startedAt ?? null }
+    );
+  }
+
+  await recordAdminAction(req, {
+    action: status === "approved" ? "appeal.approve" : "appeal.reject",
+    targetType: "appeal",
+    targetId: appeal._id,
+    before: { status: "pending" },
+    after: { status },
+    reason: note,
+  });
+
+  res.json(appeal);
+};
+
+// ------------------- APPROVE APPEAL -------------------
+export const approveAppeal = async (req, res) => {
+  try {
+    await decideAppeal(req, res, "approved");
+  } catch (err) {
+    console.error("Approve appeal error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- REJECT APPEAL -------------------
+export const rejectAppeal = async (req, res) => {
+  try {
+    await decideAppeal(req, res, "rejected");
+  } catch (err) {
+    console.error("Reject appeal error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const AUDIT_EXPORT_LIMIT = 10000;
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Quote a CSV cell and neutralise spreadsheet formulas
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const auditLogToCsv = (entries) => {
+  const header = ["createdAt", "admin", "action", "targetType", "targetId", "field", "before", "after", "reason", "ip"];
+  const rows = [];
+  entries.forEach((entry) => {
+    // One row per changed field so before/after values stay readable in a spreadsheet
+    const changes = entry.changes.length ? entry.changes : [{ field: "", before: "", after: "" }];
+    changes.forEach((change) => {
+      rows.push([
+        entry.createdAt.toISOString(),
+        entry.adminUsername,
+        entry.action,
+        entry.targetType,
+        entry.targetId,
+        change.field,
+        change.before,
+        change.after,
+        entry.reason,
+        entry.ip,
+      ]);
+    });
+  });
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+};
+
+// ------------------- AUDIT LOG -------------------
+export const listAuditLog = async (req, res) => {
+  try {
+    const { admin, action, targetType, targetId, from, to, q, format } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 100);
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+
+    const filter = {};
+    if (admin) {
+      filter[mongoose.Types.ObjectId.isValid(admin) ? "admin" : "adminUsername"] = admin;
+    }
+    if (action) {
+      if (!AUDIT_ACTIONS.includes(action)) return res.status(400).json({ message: "Invalid action" });
+      filter.action = action;
+    }
+    if (targetType) {
+      if (!AUDIT_TARGET_TYPES.includes(targetType)) return res.status(400).json({ message: "Invalid targetType" });
+      filter.targetType = targetType;
+    }
+    if (targetId) {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) return res.status(400).json({ message: "Invalid targetId" });
+      filter.targetId = targetId;
+    }
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+      if (Object.values(range).some((d) => Number.isNaN(d.getTime()))) {
+        return res.status(400).json({ message: "from/to must be valid dates" });
+      }
+      filter.createdAt = range;
+    }
+    if (q) filter.reason = { $regex: escapeRegex(q), $options: "i" };
+
+    if (format === "csv") {
+      const entries = await AdminAuditLog.find(filter).sort({ createdAt: -1 }).limit(AUDIT_EXPORT_LIMIT).lean();
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="admin-audit-${Date.now()}.csv"`);
+      return res.send(auditLogToCsv(entries));
+    }
+
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AdminAuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ entries, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error("List audit log error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,45 @@
+import Appeal from "../models/Appeal.js";
+import { isSuspensionActive } from "../utils/suspension.js";
+
+const MIN_APPEAL_LENGTH = 20;
+
+// ------------------- CREATE APPEAL -------------------
+export const createAppeal = async (req, res) => {
+  try {
+    const message = typeof req.body.message === "string" ? req.body.message.trim() : "";
+
+    if (!isSuspensionActive(req.user)) {
+      return res.status(400).json({ message: "Your account is not suspended" });
+    }
+    if (message.length < MIN_APPEAL_LENGTH) {
+      return res.status(400).json({ message: `Please explain your appeal in at least ${MIN_APPEAL_LENGTH} characters` });
+    }
+
+    // One pending appeal per user at a time
+    const existing = await Appeal.findOne({ user: req.user._id, status: "pending" });
+    if (existing) return res.status(409).json({ message: "You already have a pending appeal", appeal: existing });
+
+    const { reason, startedAt, expiresAt, suspendedBy } = req.user.suspension || {};
+    const appeal = await Appeal.create({
+      user: req.user._id,
+      suspension: { reason, startedAt, expiresAt, suspendedBy },
+      message,
+    });
+
+    res.status(201).json({ message: "Appeal submitted", appeal });
+  } catch (err) {
+    console.error("Create appeal error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- MY APPEALS -------------------
+export const listMyAppeals = async (req, res) => {
+  try {
+    const appeals = await Appeal.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(20);
+    res.json(appeals);
+  } catch (err) {
+    console.error("List appeals error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
@@ -1,10 +1,25 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Notification from "../models/Notification.js";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import sanitizer from "sanitizer";
+import mongoose from "mongoose";
+import { isSuspensionActive, suspensionError, liftExpiredSuspension, signAppealToken } from "../utils/suspension.js";
+import { createSession, rotateSession, revokeSession, listActiveSessions, revokeAllSessions } from "../utils/session.js";
+import { disconnectSession, disconnectUser } from "../utils/socket.js";
+import { signAccountToken, verifyAccountToken } from "../utils/accountTokens.js";
+import { sendMail } from "../utils/mailer.js";
+import {
+  TWO_FACTOR_SELECT,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  checkTwoFactorCode,
+  disableTwoFactor,
+} from "../utils/twoFactor.js";
+import { loginKeys, rejectIfThrottled, recordLoginFailure, clearLoginFailures } from "../utils/loginThrottle.js";
 
 // Get the sanitize function from the CommonJS module
 const { sanitize } = sanitizer;
@@ -26,6 +41,66 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
+const MIN_PASSWORD_LENGTH = 8;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+
+// Links in emails point at the web app, which posts the token back to the API
+const appUrl = () => (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
+
+const sendVerificationEmail = (user) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(signAccountToken(user, "verify_email"))}`;
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n\nIf you didn't create an account, you can ignore this email.`,
+  });
+};
+
+const sendPasswordResetEmail = (user) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(signAccountToken(user, "reset_password"))}`;
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nReset your password by opening this link within 1 hour:\n${link}\n\nIf you didn't ask for this, you can ignore this email; your password stays the same.`,
+  });
+};
+
+// Compared against when the email is unknown, so both failures take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+// Tell the owner their account was locked, in case it wasn't them
+const notifyLockout = async (user, lockedUntil) => {
+  const minutes = Math.ceil((lockedUntil.getTime() - Date.now()) / 60000);
+  const text = `We paused sign-in to your account for ${minutes} minute(s) after several failed login attempts. If this wasn't you, consider resetting your password.`;
+  try {
+    await Notification.create({ userId: user._id, type: "system", title: "Sign-in temporarily locked", message: text });
+    if (user.email) await sendMail({ to: user.email, subject: "Sign-in to your account was locked", text: `Hi ${user.name},\n\n${text}` });
+  } catch (err) {
+    console.error("Lockout notification error:", err.message);
+  }
+};
+
+// Count a failed attempt and notify the user when it locks their account
+const handleLoginFailure = async (keys, user) => {
+  const locked = await recordLoginFailure([keys.account, keys.ip]);
+  const accountLock = locked.find((l) => l.key === keys.account);
+  if (accountLock && user) notifyLockout(user, accountLock.lockedUntil);
+};
+
+// Once every login factor has passed: answer 403 with an appeal token if the user is
+// suspended, or lift a timed suspension that has run out. Returns true when it answered.
+const rejectIfSuspended = async (user, res) => {
+  if (!user.suspended) return false;
+  if (isSuspensionActive(user)) {
+    res.status(403).json({ ...suspensionError(user), appealToken: signAppealToken(user) });
+    return true;
+  }
+  await liftExpiredSuspension(user._id);
+  user.suspended = false;
+  user.suspension = undefined;
+  return false;
+};
+
 // Register
 export const registerUser = async (req, res) => {
   try {
@@ -56,13 +131,20 @@ export const registerUser = async (req, res) => {
       password: hashedPassword,
     });
 
-    // Generate JWT
-    const token = jwt.sign({ _id: user._id, id: user._id }, JWT_SECRET, { expiresIn: "7d" });
+    // A failed email shouldn't fail the signup; the user can ask for another one
+    if (user.email) {
+      sendVerificationEmail(user).catch((err) => console.error("Verification email error:", err.message));
+    }
+
+    // Start a device session: short-lived access token plus a rotating refresh token
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       message: "User registered successfully",
       user: user.toJSON(),
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -81,21 +163,41 @@ export const loginUser = async (req, res) => {
       return res.status(400).json({ message: "Email and password are required" });
     }
 
-    // Check if user exists
-    const user = await User.findOne({ email: sanitizedEmail });
-    if (!user) return res.status(404).json({ message: "User not found" });
+    const keys = loginKeys("user", sanitizedEmail, req.ip);
+    if (await rejectIfThrottled(keys, res)) return;
 
-    // Compare password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
+    // Unknown email and wrong password get the same answer, so accounts can't be enumerated
+    const user = await User.findOne({ email: sanitizedEmail.toLowerCase().trim() });
+    const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isMatch) {
+      await handleLoginFailure(keys, user);
+      return res.status(401).json({ message: "Invalid email or password" });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge for POST /login/2fa
+    if (user.twoFactor?.enabled) {
+      const challengeToken = jwt.sign({ _id: user._id, scope: "2fa_challenge" }, JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+      });
+      return res.status(200).json({ message: "Two-factor code required", twoFactorRequired: true, challengeToken });
+    }
 
-    // Generate JWT
-    const token = jwt.sign({ _id: user._id, id: user._id }, JWT_SECRET, { expiresIn: "7d" });
+    // Suspended users get no session, only a token that lets them file an appeal.
+    // With 2FA on this is checked in loginTwoFactor, so the password alone reveals nothing
+    if (await rejectIfSuspended(user, res)) return;
+
+    // Counters are only reset once the whole login (including 2FA) succeeded
+    await clearLoginFailures(keys.account);
+
+    // Start a device session: short-lived access token plus a rotating refresh token
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(200).json({
       message: "Login successful",
       user: user.toJSON(), // This will include the updated permissions
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -126,4 +228,239 @@ export const getUserProfile = async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Refresh: trade a refresh token for a new access/refresh pair
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required" });
+
+    const result = await rotateSession(refreshToken, req);
+    if (!result) return res.status(401).json({ message: "Invalid or expired refresh token" });
+
+    const { session, tokens } = result;
+    if (isSuspensionActive(session.user)) {
+      await revokeSession(session._id, "suspended");
+      return res.status(403).json({ ...suspensionError(session.user), appealToken: signAppealToken(session.user) });
+    }
+
+    res.json({ token: tokens.accessToken, refreshToken: tokens.refreshToken, expiresIn: tokens.expiresIn });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Logout: revoke the session the access token belongs to
+export const logoutUser = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, "logout", { user: req.user._id });
+      disconnectSession(req.app, req.user._id, req.sessionId);
+    }
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// List the signed-in devices of the current user
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    res.json(
+      sessions.map((session) => ({
+        ...session.toJSON(),
+        current: String(session._id) === String(req.sessionId),
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Sign out another device (or this one)
+export const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid session id" });
+
+    const revoked = await revokeSession(id, "revoked_by_user", { user: req.user._id });
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+
+    disconnectSession(req.app, req.user._id, id);
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Verify email: confirm the address with the token from the verification email
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyAccountToken(req.body.token, "verify_email");
+    if (!user) return res.status(400).json({ message: "Invalid or expired verification link" });
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: "Email verified", user: user.toJSON() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Resend the verification email to the signed-in user
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) return res.status(400).json({ message: "Email already verified" });
+    if (!req.user.email) return res.status(400).json({ message: "No email address on this account" });
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Forgot password: email a reset link. The response is the same whether or not the account exists.
+export const forgotPassword = async (req, res) => {
+  try {
+    const email = sanitize(req.body.email || "").toLowerCase().trim();
+    if (!email) return res.status(400).json({ message: "Email is required" });
+
+    // Not awaited: how long the send takes would tell which emails have an account
+    const user = await User.findOne({ email });
+    if (user) sendPasswordResetEmail(user).catch((err) => console.error("Password reset email error:", err.message));
+
+    res.json({ message: "If an account exists for that email, a reset link has been sent" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Reset password: set a new password with the token from the reset email and sign out everywhere
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await verifyAccountToken(token, "reset_password");
+    if (!user) return res.status(400).json({ message: "Invalid or expired reset link" });
+
+    user.password = await bcrypt.hash(password, 10);
+    // Receiving the reset email proves the address belongs to the user
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, "password_reset");
+    disconnectUser(req.app, user._id, "sessionRevoked", { message: "Your password was changed" });
+
+    res.json({ message: "Password updated. Please log in again." });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Login step 2: exchange the challenge from loginUser and a TOTP or recovery code for a session
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: "Login challenge expired, please log in again" });
+    }
+    if (decoded.scope !== "2fa_challenge") return res.status(401).json({ message: "Invalid login challenge" });
+
+    const user = await User.findById(decoded._id).select(TWO_FACTOR_SELECT);
+    if (!user || !user.twoFactor?.enabled) return res.status(401).json({ message: "Invalid login challenge" });
+
+    // Code guesses count against the same limits as password guesses
+    const keys = loginKeys("user", user.email, req.ip);
+    if (await rejectIfThrottled(keys, res)) return;
+
+    const method = checkTwoFactorCode(user, code);
+    if (!method) {
+      await handleLoginFailure(keys, user);
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+    await user.save();
+    await clearLoginFailures(keys.account);
+
+    if (await rejectIfSuspended(user, res)) return;
+
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+    res.status(200).json({
+      message: "Login successful",
+      user: user.toJSON(),
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      ...(method === "recovery" && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 2FA setup: issue a new secret for the authenticator app (not active until verified)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SELECT);
+    if (user.twoFactor?.enabled) return res.status(409).json({ message: "Two-factor authentication is already on" });
+
+    const { secret, otpauthUrl } = beginTwoFactorSetup(user, user.email || user.username);
+    await user.save();
+
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 2FA verify: confirm the secret with a code and turn 2FA on; recovery codes are only shown here
+export const verifyTwoFactorSetup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SELECT);
+    if (user.twoFactor?.enabled) return res.status(409).json({ message: "Two-factor authentication is already on" });
+    if (!user.twoFactor?.pendingSecret) return res.status(400).json({ message: "Start setup first" });
+
+    const recoveryCodes = confirmTwoFactorSetup(user, req.body.code);
+    if (!recoveryCodes) return res.status(400).json({ message: "Invalid two-factor code" });
+    await user.save();
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 2FA disable: needs the password and a current (or recovery) code
+export const disableTwoFactorForUser = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SELECT);
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is not on" });
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
+    if (!checkTwoFactorCode(user, code)) return res.status(400).json({ message: "Invalid two-factor code" });
+
+    disableTwoFactor(user);
+    await user.save();
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
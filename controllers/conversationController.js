@@ -0,0 +1,344 @@
+import mongoose from "mongoose";
+import Conversation, { GROUP_ROLES } from "../models/Conversation.js";
+import User from "../models/User.js";
+import { getBlockedIdSet } from "../utils/blocks.js";
+import { getOpenToIdSet } from "../utils/messageRequests.js";
+import { INBOX_USER_FIELDS, findGroupForMember } from "../utils/conversations.js";
+import { conversationRoom, setUsersInRoom, emitToUser } from "../utils/socket.js";
+import { sniffFileType } from "../utils/attachments.js";
+import { storeFile, storageName, deleteStoredFile } from "../utils/storage.js";
+import { pushInbox } from "./messageController.js";
+
+const MAX_GROUP_MEMBERS = 100;
+const MAX_GROUP_NAME_LENGTH = 100;
+const MANAGER_ROLES = ["owner", "admin"];
+
+const roleOf = (group, userId) => group.members.find((m) => String(m.user) === String(userId))?.role;
+
+const parseName = (name) => {
+  const value = typeof name === "string" ? name.trim() : "";
+  if (!value || value.length > MAX_GROUP_NAME_LENGTH) return null;
+  return value;
+};
+
+// New members must be real, active users who can be contacted by the person adding them:
+// friends, mutual matches, or people who accept messages from everyone (no block either way)
+const checkNewMembers = async (actorId, userIds, existingIds = []) => {
+  if (!Array.isArray(userIds) || !userIds.length) return { error: "userIds must be a non-empty array" };
+  const ids = [...new Set(userIds.map(String))].filter((id) => id !== String(actorId) && !existingIds.includes(id));
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) return { error: "Invalid userIds" };
+  if (existingIds.length + ids.length > MAX_GROUP_MEMBERS) return { error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` };
+
+  const [users, blockedIds, openIds] = await Promise.all([
+    User.find({ _id: { $in: ids }, suspended: { $ne: true } }).select("_id").lean(),
+    getBlockedIdSet(actorId),
+    getOpenToIdSet(actorId, ids),
+  ]);
+  if (users.length !== ids.length || ids.some((id) => blockedIds.has(id) || !openIds.has(id))) {
+    return { error: "Some of these users can't be added" };
+  }
+  return { ids };
+};
+
+const toGroupDetails = (group) => ({
+  _id: group._id,
+  type: "group",
+  name: group.name,
+  avatar: group.avatar?.url || null,
+  createdBy: group.createdBy,
+  createdAt: group.createdAt,
+  members: group.members
+    .filter((m) => m.user)
+    .map((m) => ({
+      user: m.user,
+      role: m.role,
+      joinedAt: m.joinedAt,
+      lastReadAt: m.lastReadAt,
+      lastReadMessage: m.lastReadMessage || null,
+    })),
+});
+
+// Reply with the saved group and tell its members (and their inboxes) about the change
+const sendGroupUpdate = async (req, res, group, status = 200) => {
+  await group.populate([
+    { path: "members.user", select: INBOX_USER_FIELDS },
+    { path: "participants", select: INBOX_USER_FIELDS },
+  ]);
+  const details = toGroupDetails(group);
+  req.app?.locals?.io?.to(conversationRoom(group._id)).emit("groupUpdated", details);
+  pushInbox(req.app, group);
+  res.status(status).json(details);
+};
+
+const GROUP_CHANGED = "The group changed, reload it and try again";
+
+// Membership changes are single atomic updates, so they can't overwrite the read markers that
+// markGroupRead and recordGroupMessage move meanwhile. They bump the version, so a concurrent
+// save() of the group (name, avatar, roles) fails instead of writing stale members back.
+// Resolves to the updated group, or null when `conditions` no longer hold.
+const updateMembership = (group, conditions, update, options = {}) =>
+  Conversation.findOneAndUpdate(
+    { _id: group._id, type: "group", ...conditions },
+    { ...update, $inc: { __v: 1 } },
+    { new: true, ...options }
+  );
+
+const pullMember = (group, userId, conditions = {}) =>
+  updateMembership(
+    group,
+    { participants: userId, ...conditions },
+    { $pull: { members: { user: userId }, participants: userId }, $unset: { [`unreadCounts.${userId}`]: 1 } }
+  );
+
+const notifyRemoved = (req, group, userId, reason) => {
+  setUsersInRoom(req.app, [String(userId)], conversationRoom(group._id), false);
+  emitToUser(req.app, userId, "groupRemoved", { conversationId: group._id, reason });
+};
+
+const handleError = (res, err) => {
+  // optimisticConcurrency: someone else changed the group between our read and save
+  if (err.name === "VersionError") return res.status(409).json({ message: GROUP_CHANGED });
+  res.status(500).json({ message: err.message });
+};
+
+// ------------------- CREATE GROUP -------------------
+// { name, userIds }: the creator becomes the owner, everyone else a member
+export const createGroup = async (req, res) => {
+  try {
+    const name = parseName(req.body.name);
+    if (!name) return res.status(400).json({ message: `name is required (max ${MAX_GROUP_NAME_LENGTH} characters)` });
+
+    const creatorId = String(req.user._id);
+    const { error, ids } = await checkNewMembers(creatorId, req.body.userIds, [creatorId]);
+    if (error) return res.status(400).json({ message: error });
+
+    const now = new Date();
+    const group = await Conversation.create({
+      type: "group",
+      name,
+      createdBy: creatorId,
+      participants: [creatorId, ...ids],
+      members: [
+        { user: creatorId, role: "owner", joinedAt: now, lastReadAt: now },
+        ...ids.map((id) => ({ user: id, role: "member", addedBy: creatorId, joinedAt: now, lastReadAt: now })),
+      ],
+      lastMessageAt: now,
+    });
+
+    setUsersInRoom(req.app, [creatorId, ...ids], conversationRoom(group._id), true);
+    await sendGroupUpdate(req, res, group, 201);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// ------------------- GET GROUP -------------------
+export const getGroup = async (req, res) => {
+  try {
+    const group = await findGroupForMember(req.params.conversationId, req.user._id);
+    if (!group) return res.status(404).json({ message: "Conversation not found" });
+
+    await group.populate("members.user", INBOX_USER_FIELDS);
+    res.json(toGroupDetails(group));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- UPDATE GROUP -------------------
+// Owner and admins: { name }
+export const updateGroup = async (req, res) => {
+  try {
+    const group = await findGroupForMember(req.params.conversationId, req.user._id);
+    if (!group) return res.status(404).json({ message: "Conversation not found" });
+    if (!MANAGER_ROLES.includes(roleOf(group, req.user._id))) return res.status(403).json({ message: "Only group admins can do this" });
+
+    const name = parseName(req.body.name);
+    if (!name) return res.status(400).json({ message: `name is required (max ${MAX_GROUP_NAME_LENGTH} characters)` });
+
+    group.name = name;
+    await group.save();
+    await sendGroupUpdate(req, res, group);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// ------------------- GROUP AVATAR -------------------
+// Owner and admins: multipart `avatar` (JPEG, PNG, GIF or WebP), stored publicly like profile pictures
+export const uploadGroupAvatar = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+
+    const group = await findGroupForMember(req.params.conversationId, req.user._id);
+    if (!group) return res.status(404).json({ message: "Conversation not found" });
+    if (!MANAGER_ROLES.includes(roleOf(group, req.user._id))) return res.status(403).json({ message: "Only group admins can do this" });
+
+    const type = sniffFileType(req.file.buffer);
+    if (type?.kind !== "image") return res.status(400).json({ message: "Only JPEG, PNG, GIF and WebP images are allowed" });
+
+    const stored = await storeFile(req.file.buffer, {
+      folder: "group-avatars",
+      name: storageName(group._id),
+      mimeType: type.mimeType,
+      extension: type.extension,
+    });
+    const previous = group.avatar?.url ? group.toObject().avatar : null;
+
+    group.avatar = {
+      url: stored.url,
+      storage: stored.storage,
+      publicId: stored.publicId,
+      resourceType: stored.resourceType,
+      path: stored.path,
+    };
+    try {
+      await group.save();
+    } catch (err) {
+      deleteStoredFile(stored);
+      throw err;
+    }
+    if (previous) deleteStoredFile(previous);
+
+    await sendGroupUpdate(req, res, group);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// ------------------- ADD MEMBERS -------------------
+// Owner and admins: { userIds }. New members see messages from now on.
+export const addMembers = async (req, res) => {
+  try {
+    const actorId = String(req.user._id);
+    const group = await findGroupForMember(req.params.conversationId, actorId);
+    if (!group) return res.status(404).json({ message: "Conversation not found" });
+    if (!MANAGER_ROLES.includes(roleOf(group, actorId))) return res.status(403).json({ message: "Only group admins can do this" });
+
+    const { error, ids } = await checkNewMembers(actorId, req.body.userIds, group.participants.map(String));
+    if (error) return res.status(400).json({ message: error });
+    if (!ids.length) return res.status(400).json({ message: "These users are already members" });
+
+    const now = new Date();
+    const updated = await updateMembership(
+      group,
+      {
+        members: { $elemMatch: { user: actorId, role: { $in: MANAGER_ROLES } } },
+        participants: { $nin: ids },
+        $expr: { $lte: [{ $size: "$participants" }, MAX_GROUP_MEMBERS - ids.length] },
+      },
+      {
+        $push: {
+          members: { $each: ids.map((id) => ({ user: id, role: "member", addedBy: actorId, joinedAt: now, lastReadAt: now })) },
+          participants: { $each: ids },
+        },
+      }
+    );
+    if (!updated) return res.status(409).json({ message: GROUP_CHANGED });
+
+    setUsersInRoom(req.app, ids, conversationRoom(group._id), true);
+    await sendGroupUpdate(req, res, updated);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// ------------------- REMOVE MEMBER -------------------
+// The owner can remove anyone, admins only regular members. Use /leave to remove yourself.
+export const removeMember = async (req, res) => {
+  try {
+    const actorId = String(req.user._id);
+    const { userId } = req.params;
+    const group = await findGroupForMember(req.params.conversationId, actorId);
+    if (!group) return res.status(404).json({ message: "Conversation not found" });
+    if (userId === actorId) return res.status(400).json({ message: "Use leave to remove yourself" });
+
+    const actorRole = roleOf(group, actorId);
+    const targetRole = roleOf(group, userId);
+    if (!targetRole) return res.status(404).json({ message: "Not a member of this group" });
+    if (!(actorRole === "owner" || (actorRole === "admin" && targetRole === "member"))) {
+      return res.status(403).json({ message: "You can't remove this member" });
+    }
+
+    // Only if both still have the roles this was decided on
+    const updated = await pullMember(group, userId, {
+      $and: [
+        { members: { $elemMatch: { user: actorId, role: actorRole } } },
+        { members: { $elemMatch: { user: userId, role: targetRole } } },
+      ],
+    });
+    if (!updated) return res.status(409).json({ message: GROUP_CHANGED });
+    notifyRemoved(req, updated, userId, "removed");
+
+    await sendGroupUpdate(req, res, updated);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// ------------------- CHANGE ROLE -------------------
+// Owner only: { role: "admin" | "member" }, or "owner" to hand the group over (the old owner becomes an admin)
+export const updateMemberRole = async (req, res) => {
+  try {
+    const actorId = String(req.user._id);
+    const { userId } = req.params;
+    const { role } = req.body;
+    if (!GROUP_ROLES.includes(role)) return res.status(400).json({ message: "Invalid role" });
+
+    const group = await findGroupForMember(req.params.conversationId, actorId);
+    if (!group) return res.status(404).json({ message: "Conversation not found" });
+    if (roleOf(group, actorId) !== "owner") return res.status(403).json({ message: "Only the group owner can change roles" });
+    if (userId === actorId) return res.status(400).json({ message: "Transfer ownership to another member instead" });
+
+    const target = group.members.find((m) => String(m.user) === userId);
+    if (!target) return res.status(404).json({ message: "Not a member of this group" });
+
+    target.role = role;
+    if (role === "owner") group.members.find((m) => String(m.user) === actorId).role = "admin";
+    await group.save();
+
+    await sendGroupUpdate(req, res, group);
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// ------------------- LEAVE GROUP -------------------
+// An owner who leaves hands the group to the longest-standing admin, or member
+export const leaveGroup = async (req, res) => {
+  try {
+    const userId = String(req.user._id);
+    const group = await findGroupForMember(req.params.conversationId, userId);
+    if (!group) return res.status(404).json({ message: "Conversation not found" });
+
+    if (roleOf(group, userId) === "owner") {
+      const others = group.members
+        .filter((m) => String(m.user) !== userId)
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+      const successor = others.find((m) => m.role === "admin") || others[0];
+      // Promote first, so the group is never left without an owner
+      if (successor) {
+        const promoted = await updateMembership(
+          group,
+          { $and: [{ members: { $elemMatch: { user: userId, role: "owner" } } }, { "members.user": successor.user }] },
+          { $set: { "members.$[successor].role": "owner" } },
+          { arrayFilters: [{ "successor.user": successor.user }] }
+        );
+        if (!promoted) return res.status(409).json({ message: GROUP_CHANGED });
+      }
+    }
+
+    const updated = await pullMember(group, userId);
+    if (!updated) return res.status(404).json({ message: "Conversation not found" });
+    notifyRemoved(req, updated, userId, "left");
+
+    await updated.populate([
+      { path: "members.user", select: INBOX_USER_FIELDS },
+      { path: "participants", select: INBOX_USER_FIELDS },
+    ]);
+    req.app?.locals?.io?.to(conversationRoom(group._id)).emit("groupUpdated", toGroupDetails(updated));
+    res.json({ message: "You left the group" });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import DeviceKey from "../models/DeviceKey.js";
+import { isBlockedBetween } from "../utils/blocks.js";
+import { getMessagePolicy } from "../utils/messageRequests.js";
+import {
+  MAX_DEVICES_PER_USER,
+  MAX_ONE_TIME_PREKEYS,
+  isValidDeviceId,
+  validateKeyBundle,
+  validatePreKeys,
+} from "../utils/e2ee.js";
+
+// Never return the unclaimed prekeys themselves to their owner, only how many are left
+const toDeviceSummary = (device) => ({
+  deviceId: device.deviceId,
+  identityKey: device.identityKey,
+  signedPreKey: device.signedPreKey,
+  oneTimePreKeyCount: device.oneTimePreKeys?.length || 0,
+  lastSeenAt: device.lastSeenAt,
+  createdAt: device.createdAt,
+});
+
+// ------------------- REGISTER DEVICE -------------------
+// Creates the device or replaces its keys (e.g. after a reinstall)
+export const registerDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!isValidDeviceId(deviceId)) return res.status(400).json({ message: "Invalid deviceId" });
+
+    const invalid = validateKeyBundle(req.body);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const existing = await DeviceKey.exists({ user: req.user._id, deviceId });
+    if (!existing && (await DeviceKey.countDocuments({ user: req.user._id })) >= MAX_DEVICES_PER_USER) {
+      return res.status(409).json({ message: `You can register at most ${MAX_DEVICES_PER_USER} devices; remove one first` });
+    }
+
+    const { identityKey, signedPreKey, oneTimePreKeys = [] } = req.body;
+    const device = await DeviceKey.findOneAndUpdate(
+      { user: req.user._id, deviceId },
+      {
+        identityKey,
+        signedPreKey: { keyId: signedPreKey.keyId, publicKey: signedPreKey.publicKey, signature: signedPreKey.signature },
+        oneTimePreKeys: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey })),
+        lastSeenAt: new Date(),
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(existing ? 200 : 201).json(toDeviceSummary(device));
+  } catch (err) {
+    console.error("Register device error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- UPLOAD PREKEYS -------------------
+export const uploadPreKeys = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { oneTimePreKeys } = req.body;
+
+    const invalid = validatePreKeys(oneTimePreKeys);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const device = await DeviceKey.findOne({ user: req.user._id, deviceId });
+    if (!device) return res.status(404).json({ message: "Device not found" });
+
+    const known = new Set(device.oneTimePreKeys.map((k) => k.keyId));
+    const fresh = oneTimePreKeys.filter((k) => !known.has(k.keyId));
+    if (device.oneTimePreKeys.length + fresh.length > MAX_ONE_TIME_PREKEYS) {
+      return res.status(400).json({ message: `A device can hold at most ${MAX_ONE_TIME_PREKEYS} unclaimed prekeys` });
+    }
+
+    const updated = await DeviceKey.findByIdAndUpdate(
+      device._id,
+      { $push: { oneTimePreKeys: { $each: fresh.map(({ keyId, publicKey }) => ({ keyId, publicKey })) } }, lastSeenAt: new Date() },
+      { new: true }
+    );
+    res.json(toDeviceSummary(updated));
+  } catch (err) {
+    console.error("Upload prekeys error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- MY DEVICES -------------------
+export const listMyDevices = async (req, res) => {
+  try {
+    const devices = await DeviceKey.find({ user: req.user._id }).sort({ createdAt: 1 });
+    res.json(devices.map(toDeviceSummary));
+  } catch (err) {
+    console.error("List devices error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- REMOVE DEVICE -------------------
+export const removeDevice = async (req, res) => {
+  try {
+    const result = await DeviceKey.deleteOne({ user: req.user._id, deviceId: req.params.deviceId });
+    if (!result.deletedCount) return res.status(404).json({ message: "Device not found" });
+    res.json({ message: "Device removed" });
+  } catch (err) {
+    console.error("Remove device error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ------------------- KEY BUNDLES -------------------
+// One bundle per device of a user, each with a one-time prekey claimed for the caller (if any are left)
+export const getKeyBundles = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ message: "Invalid userId" });
+    if (await isBlockedBetween(req.user._id, userId)) return res.status(403).json({ message: "You cannot message this user" });
+    // Same rules as messaging, so strangers can't drain the prekeys of someone they can't write to
+    if ((await getMessagePolicy(req.user._id, userId)).status === "closed") {
+      return res.status(403).json({ message: "This user only accepts messages from friends and matches" });
+    }
+
+    const devices = await DeviceKey.find({ user: userId }).select("_id").lean();
+    const bundles = await Promise.all(
+      devices.map(async ({ _id }) => {
+        // $pop hands each prekey to exactly one caller; the pre-update document shows which one
+        const device = await DeviceKey.findOneAndUpdate({ _id }, { $pop: { oneTimePreKeys: -1 } }, { new: false });
+        if (!device) return null;
+        return {
+          deviceId: device.deviceId,
+          identityKey: device.identityKey,
+          signedPreKey: device.signedPreKey,
+          oneTimePreKey: device.oneTimePreKeys[0] || null,
+        };
+      })
+    );
+
+    res.json({ userId, devices: bundles.filter(Boolean) });
+  } catch (err) {
+    console.error("Get key bundles error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,350 @@
+import mongoose from "mongoose";
+import Match from "../models/Match.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import DiscoveryPreference, { DISCOVERY_GENDERS } from "../models/DiscoveryPreference.js";
+import { emitToUser } from "../utils/socket.js";
+import { getDiscoveryPreferences, getDecidedProfileIds, buildDiscoveryFilter, resolveRadiusKm } from "../utils/discovery.js";
+import { hasPoint, distanceBucket } from "../utils/geo.js";
+import { recommendCandidates } from "../utils/compatibility.js";
+import { getBlockedIds, isBlockedBetween } from "../utils/blocks.js";
+
+const PROFILE_FIELDS = "name username age gender interests profileImage bio createdAt";
+
+// Load a profile that can be swiped on (same visibility rules as GET /api/matches/:id)
+const findSwipeableProfile = (id) =>
+  User.findOne({
+    _id: id,
+    visible: true,
+    visibilityApproved: true,
+    suspended: { $ne: true },
+    isAdmin: { $ne: true },
+  }).select(PROFILE_FIELDS);
+
+// Public profile fields plus an approximate distance (never raw coordinates)
+const toPublicProfile = (doc, origin) => {
+  const profile = { _id: doc._id };
+  for (const field of PROFILE_FIELDS.split(" ")) profile[field] = doc[field];
+  profile.distance = distanceBucket(origin, doc.geo);
+  return profile;
+};
+
+const validateTarget = (req, res) => {
+  const targetId = req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    res.status(400).json({ message: "Invalid profile id" });
+    return null;
+  }
+  if (String(targetId) === String(req.user._id)) {
+    res.status(400).json({ message: "You cannot swipe on yourself" });
+    return null;
+  }
+  return targetId;
+};
+
+// Upsert the decision `userId` made about `targetId`
+const recordDecision = (userId, targetId, update) =>
+  Match.findOneAndUpdate(
+    { userId, matchedUserId: targetId },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+// Create the `match` notification and push the socket event for one side of a match
+const notifyMatch = async (app, recipient, partner, match) => {
+  const message = `You and ${partner.name} liked each other!`;
+
+  await Notification.create({
+    userId: recipient._id,
+    type: "match",
+    title: "It's a match!",
+    message,
+    relatedUser: partner._id,
+  });
+
+  emitToUser(app, recipient._id, "matchNotification", {
+    from: partner._id,
+    message,
+    matchData: {
+      matchId: match._id,
+      user: {
+        _id: partner._id,
+        name: partner.name,
+        username: partner.username,
+        profileImage: partner.profileImage,
+      },
+    },
+    timestamp: new Date(),
+  });
+};
+
+// ------------------- DISCOVER -------------------
+export const listProfiles = async (req, res) => {
+  try {
+    // Older clients send neither cursor nor limit and expect a plain array: give them the first 50
+    const legacy = req.query.cursor === undefined && req.query.limit === undefined;
+    const limit = legacy ? 50 : Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 50);
+    const { cursor } = req.query;
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+
+    const [preferences, decidedIds, blockedIds] = await Promise.all([
+      getDiscoveryPreferences(req.user._id),
+      getDecidedProfileIds(req.user._id),
+      getBlockedIds(req.user._id),
+    ]);
+
+    const radiusKm = resolveRadiusKm(req.query.radius, preferences);
+    if (radiusKm === undefined) return res.status(400).json({ message: "radius must be between 1 and 500 km" });
+    const origin = req.user.geo;
+    if (req.query.radius && !hasPoint(origin)) {
+      return res.status(400).json({ message: "Set your location to search by distance" });
+    }
+
+    const filter = buildDiscoveryFilter({ userId: req.user._id, preferences, excludeIds: [...decidedIds, ...blockedIds], origin, radiusKm });
+    // ObjectIds grow with creation time, so paging on _id keeps the newest-first order
+    if (cursor) filter._id.$lt = new mongoose.Types.ObjectId(cursor);
+
+    const profiles = await User.find(filter)
+      .select(`${PROFILE_FIELDS} geo`)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = profiles.length > limit;
+    const page = hasMore ? profiles.slice(0, limit) : profiles;
+
+    if (legacy) return res.json(page.map((p) => toPublicProfile(p, origin)));
+    res.json({
+      profiles: page.map((p) => toPublicProfile(p, origin)),
+      hasMore,
+      nextCursor: hasMore ? String(page[page.length - 1]._id) : null,
+    });
+  } catch (err) {
+    console.error("Fetch matches error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ------------------- RECOMMENDED -------------------
+export const listRecommended = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "10", 10) || 10, 1), 50);
+
+    const [preferences, decidedIds, blockedIds] = await Promise.all([
+      getDiscoveryPreferences(req.user._id),
+      getDecidedProfileIds(req.user._id),
+      getBlockedIds(req.user._id),
+    ]);
+
+    const radiusKm = resolveRadiusKm(req.query.radius, preferences);
+    if (radiusKm === undefined) return res.status(400).json({ message: "radius must be between 1 and 500 km" });
+    const origin = req.user.geo;
+    if (req.query.radius && !hasPoint(origin)) {
+      return res.status(400).json({ message: "Set your location to search by distance" });
+    }
+
+    const filter = buildDiscoveryFilter({ userId: req.user._id, preferences, excludeIds: [...decidedIds, ...blockedIds], origin, radiusKm });
+    const ranked = await recommendCandidates(req.user, filter, { fields: `${PROFILE_FIELDS} geo`, limit });
+
+    res.json(
+      ranked.map(({ candidate, score, breakdown }) => ({
+        profile: toPublicProfile(candidate, origin),
+        score,
+        breakdown,
+      }))
+    );
+  } catch (err) {
+    console.error("Recommended matches error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// ------------------- PREFERENCES -------------------
+export const getPreferences = async (req, res) => {
+  try {
+    const preferences = await getDiscoveryPreferences(req.user._id);
+    res.json(preferences);
+  } catch (err) {
+    console.error("Get discovery preferences error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const parseAge = (value) => {
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 18 && n <= 120 ? n : undefined;
+};
+
+export const updatePreferences = async (req, res) => {
+  try {
+    const { minAge, maxAge, genders, interests, maxDistanceKm, verifiedOnly } = req.body;
+    const set = {};
+    const unset = {};
+    const assign = (key, value) => {
+      if (value === null) unset[key] = 1;
+      else set[key] = value;
+    };
+
+    for (const [key, raw] of [["minAge", minAge], ["maxAge", maxAge]]) {
+      if (raw === undefined) continue;
+      const age = parseAge(raw);
+      if (age === undefined) return res.status(400).json({ message: `${key} must be a whole number between 18 and 120` });
+      assign(key, age);
+    }
+
+    if (genders !== undefined) {
+      const list = Array.isArray(genders) ? genders : [genders];
+      if (!list.every((g) => DISCOVERY_GENDERS.includes(g))) {
+        return res.status(400).json({ message: `genders must be any of: ${DISCOVERY_GENDERS.join(", ")}` });
+      }
+      set.genders = [...new Set(list)];
+    }
+
+    if (interests !== undefined) {
+      const list = typeof interests === "string" ? interests.split(",") : interests;
+      if (!Array.isArray(list)) return res.status(400).json({ message: "interests must be a list" });
+      set.interests = [...new Set(list.map((i) => String(i).trim()).filter(Boolean))];
+    }
+
+    if (maxDistanceKm !== undefined) {
+      if (maxDistanceKm === null || maxDistanceKm === "") {
+        unset.maxDistanceKm = 1;
+      } else {
+        const km = Number(maxDistanceKm);
+        if (Number.isNaN(km) || km < 1 || km > 500) {
+          return res.status(400).json({ message: "maxDistanceKm must be between 1 and 500" });
+        }
+        set.maxDistanceKm = km;
+      }
+    }
+
+    if (verifiedOnly !== undefined) set.verifiedOnly = verifiedOnly === true || verifiedOnly === "true";
+
+    const current = await getDiscoveryPreferences(req.user._id);
+    const nextMin = "minAge" in unset ? null : set.minAge ?? current.minAge;
+    const nextMax = "maxAge" in unset ? null : set.maxAge ?? current.maxAge;
+    if (nextMin != null && nextMax != null && nextMin > nextMax) {
+      return res.status(400).json({ message: "minAge cannot be greater than maxAge" });
+    }
+
+    const update = { $set: set };
+    if (Object.keys(unset).length) update.$unset = unset;
+
+    const preferences = await DiscoveryPreference.findOneAndUpdate(
+      { user: req.user._id },
+      update,
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(preferences);
+  } catch (err) {
+    console.error("Update discovery preferences error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// ------------------- LIKE -------------------
+export const likeProfile = async (req, res) => {
+  try {
+    const targetId = validateTarget(req, res);
+    if (!targetId) return;
+
+    const target = await findSwipeableProfile(targetId);
+    if (!target || (await isBlockedBetween(req.user._id, targetId))) {
+      return res.status(404).json({ message: "Profile not found" });
+    }
+
+    const previous = await Match.findOne({ userId: req.user._id, matchedUserId: targetId });
+    // Store the like before looking for theirs, so of two simultaneous likes at least one sees the other
+    let match = previous?.status === "accepted"
+      ? previous
+      : await recordDecision(req.user._id, targetId, { status: "pending", $unset: { acceptedAt: 1 } });
+
+    const reverse = await Match.findOne({
+      userId: targetId,
+      matchedUserId: req.user._id,
+      status: { $in: ["pending", "accepted"] },
+    });
+
+    // No like from the other side yet: wait for them
+    if (!reverse) {
+      if (match.status === "accepted") {
+        match = await recordDecision(req.user._id, targetId, { status: "pending", $unset: { acceptedAt: 1 } });
+      }
+      return res.json({ matched: false, match });
+    }
+
+    // Both likes exist. Whichever request accepts the pair's first document (by user ID) announces
+    // the match, so it is announced once even when both like each other at the same time.
+    const acceptedAt = previous?.status === "accepted" ? previous.acceptedAt : new Date();
+    const [first, second] = String(req.user._id) < String(targetId) ? [match._id, reverse._id] : [reverse._id, match._id];
+    const announce = await Match.findOneAndUpdate({ _id: first, status: { $ne: "accepted" } }, { status: "accepted", acceptedAt });
+    await Match.updateOne({ _id: second, status: { $ne: "accepted" } }, { status: "accepted", acceptedAt });
+    match = await Match.findById(match._id);
+
+    if (announce) {
+      await notifyMatch(req.app, req.user, target, match);
+      await notifyMatch(req.app, target, req.user, match);
+    }
+
+    res.json({ matched: true, match, profile: target });
+  } catch (err) {
+    console.error("Like profile error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// ------------------- PASS -------------------
+export const passProfile = async (req, res) => {
+  try {
+    const targetId = validateTarget(req, res);
+    if (!targetId) return;
+
+    const target = await User.exists({ _id: targetId });
+    if (!target) return res.status(404).json({ message: "Profile not found" });
+
+    const match = await recordDecision(req.user._id, targetId, { status: "rejected", $unset: { acceptedAt: 1 } });
+
+    // Passing on an existing match undoes it; the other side's like stays pending
+    await Match.updateOne(
+      { userId: targetId, matchedUserId: req.user._id, status: "accepted" },
+      { status: "pending", $unset: { acceptedAt: 1 } }
+    );
+
+    res.json({ matched: false, match });
+  } catch (err) {
+    console.error("Pass profile error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// ------------------- MUTUAL MATCHES -------------------
+export const listMutualMatches = async (req, res) => {
+  try {
+    const matches = await Match.find({ userId: req.user._id, status: "accepted" })
+      .populate("matchedUserId", PROFILE_FIELDS)
+      .sort({ acceptedAt: -1 });
+
+    res.json(
+      matches
+        .filter((m) => m.matchedUserId)
+        .map((m) => ({ matchId: m._id, acceptedAt: m.acceptedAt, user: m.matchedUserId }))
+    );
+  } catch (err) {
+    console.error("List mutual matches error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Check whether two users have liked each other
+ * @param {string} userId - First user ID
+ * @param {string} otherId - Second user ID
+ * @returns {Promise<boolean>} Whether an accepted match exists
+ */
+export const isMutualMatch = async (userId, otherId) => {
+  const match = await Match.exists({ userId, matchedUserId: otherId, status: "accepted" });
+  return Boolean(match);
+};
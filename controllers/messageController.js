@@ -1,7 +1,27 @@
 import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
 import mongoose from "mongoose";
 import { isDbConnected } from "../config/db.js";
-import { generateEncryptionKey, encryptMessage, decryptMessage, hashValue, compareHash } from "../utils/encryption.js";
+import { encryptText, decryptText } from "../utils/encryption.js";
+import { isBlockedBetween, getBlockedIds, blockUser } from "../utils/blocks.js";
+import { emitPresence, emitToUser, emitToRoom, conversationRoom } from "../utils/socket.js";
+import { validateEnvelopes, checkDeviceCoverage } from "../utils/e2ee.js";
+import { getMessagePolicy, claimMessageRequest, releaseMessageRequest } from "../utils/messageRequests.js";
+import { validateAttachments, attachmentUrl, verifyAttachmentToken } from "../utils/attachments.js";
+import { storeFile, storageName, deleteStoredFile, localFilePath, privateFileUrl } from "../utils/storage.js";
+import {
+  INBOX_USER_FIELDS,
+  directConversationKey,
+  messageEncryptionContext,
+  groupEncryptionContext,
+  encryptionContextOf,
+  findGroupForMember,
+  recordConversationMessage,
+  recordGroupMessage,
+  syncUnreadCount,
+  markLastMessageUnsent,
+  markLastMessageEdited,
+} from "../utils/conversations.js";
 
 // Minimal in-memory store for messages/presence when DB is absent
 const messageStore = { messages: [], presence: {} };
@@ -19,6 +39,39 @@ const emitMessage = (io, userSockets, userId, event, data) => {
   });
 };
 
+// --- Delivery receipts ---
+// Clients acknowledge a `messages` batch through the event's callback. The first acknowledgement
+// from any of the recipient's sockets marks the batch's new direct messages delivered and sends
+// each sender a `delivered` event.
+const DELIVERY_ACK_TIMEOUT_MS = 30 * 1000;
+
+const markDelivered = async (io, userSockets, userId, batch) => {
+  const ids = batch
+    .filter(m => String(m.to) === userId && String(m.from) !== userId && !m.deliveredAt && !m.isUnsent)
+    .map(m => String(m._id));
+  if (!ids.length) return;
+
+  const deliveredAt = new Date();
+  let delivered;
+  if (isDbConnected() && mongoose.connection.readyState === 1) {
+    const filter = { _id: { $in: ids }, to: userId, deliveredAt: null };
+    delivered = await Message.find(filter).select("from").lean();
+    if (!delivered.length) return;
+    await Message.updateMany(filter, { deliveredAt });
+  } else {
+    delivered = messageStore.messages.filter(m => ids.includes(m._id) && !m.deliveredAt);
+    delivered.forEach(m => { m.deliveredAt = deliveredAt; });
+  }
+
+  const bySender = new Map();
+  delivered.forEach(m => {
+    const from = String(m.from);
+    if (!bySender.has(from)) bySender.set(from, []);
+    bySender.get(from).push(m._id);
+  });
+  bySender.forEach((messageIds, from) => emitMessage(io, userSockets, from, 'delivered', { userId, messageIds, deliveredAt }));
+};
+
 // --- Queue-based batching to prevent socket buffer overload ---
 const sendQueue = new Map();
 const flushQueue = (io, userSockets, userId) => {
@@ -27,101 +80,841 @@ const flushQueue = (io, userSockets, userId) => {
 
   const batched = [...queue];
   sendQueue.set(userId, []);
-  emitMessage(io, userSockets, userId, 'messages', batched);
+
+  const sockets = userSockets.get(String(userId));
+  if (!sockets) return;
+  let acknowledged = false;
+  sockets.forEach(sid => {
+    const socket = io.sockets.sockets.get(sid);
+    if (!socket || !socket.connected) return;
+    socket.timeout(DELIVERY_ACK_TIMEOUT_MS).emit('messages', batched, (err) => {
+      if (err || acknowledged) return; // not acknowledged in time, or another socket already did
+      acknowledged = true;
+      markDelivered(io, userSockets, userId, batched).catch(e => console.error("Delivery receipt error:", e));
+    });
+  });
+};
+
+// --- Server-side encryption ---
+const readServerText = (msg, context) => {
+  if (msg.isUnsent || !msg.encryptedContent) return "";
+  try {
+    return decryptText(msg.encryptedContent, context);
+  } catch (e) {
+    console.error("Message decryption error:", e.message);
+    return null;
+  }
+};
+
+// Server-mode content goes out as `text`; E2EE and legacy content stays encrypted for the client
+const withReadableContent = (msg, context) => {
+  if (msg.encryption !== "server") return { ...msg, isEncrypted: true };
+  const { encryptedContent, encryptionKeyId, ...rest } = msg;
+  return { ...rest, text: readServerText(msg, context), isEncrypted: false };
+};
+
+// --- Attachments ---
+// Files are private; each viewer gets their own short-lived URL instead of the storage location
+const storeAttachments = (userId, uploads) => Promise.all(uploads.map(async ({ buffer, kind, mimeType, extension, size, name }) => {
+  const { url, ...location } = await storeFile(buffer, {
+    folder: "attachments",
+    name: storageName(userId),
+    mimeType,
+    extension,
+    isPrivate: true
+  });
+  return { _id: new mongoose.Types.ObjectId(), kind, mimeType, size, name, ...location };
+}));
+
+const toViewerAttachment = (msg, attachment, userId) => ({
+  _id: attachment._id,
+  kind: attachment.kind,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  name: attachment.name,
+  url: attachmentUrl(msg._id, attachment._id, userId),
+});
+
+// --- Replies ---
+// Just enough of the quoted message to render it; E2EE quotes are resolved by the client from its own copy
+const REPLY_TO_FIELDS = "from to conversation encryption encryptedContent isUnsent deletedFor attachments createdAt";
+const QUOTE_LENGTH = 200;
+
+const toQuote = (replyTo, userId) => {
+  if (!replyTo) return null;
+  // Populated with REPLY_TO_FIELDS in DB mode; an ID to look up in the in-memory store otherwise
+  const ref = replyTo.from ? replyTo : messageStore.messages.find(x => x._id === String(replyTo));
+  if (!ref) return { _id: replyTo._id || replyTo, unavailable: true };
+
+  const hidden = ref.isUnsent || (Array.isArray(ref.deletedFor) && ref.deletedFor.map(String).includes(String(userId)));
+  if (hidden) return { _id: ref._id, from: ref.from, unavailable: true };
+
+  const quote = {
+    _id: ref._id,
+    from: ref.from,
+    createdAt: ref.createdAt,
+    encryption: ref.encryption,
+    attachmentKinds: (ref.attachments || []).map(a => a.kind),
+  };
+  if (ref.encryption === "server") quote.text = (readServerText(ref, encryptionContextOf(ref)) || "").slice(0, QUOTE_LENGTH);
+  return quote;
+};
+
+// --- Per-viewer copies ---
+// E2EE messages carry one envelope per device; each user only gets the ones addressed to them
+const filterEnvelopes = (envelopes, userId, deviceId) => (envelopes || []).filter(e =>
+  String(e.user) === String(userId) && (!deviceId || e.deviceId === deviceId)
+);
+
+const toViewerHistory = (obj, userId, deviceId) => (obj.editHistory || []).map(version => {
+  if (obj.encryption === "e2ee") return { createdAt: version.createdAt, envelopes: filterEnvelopes(version.envelopes, userId, deviceId) };
+  return { createdAt: version.createdAt, text: readServerText(version, encryptionContextOf(obj)) };
+});
+
+const toViewerMessage = (msg, userId, deviceId) => {
+  const obj = msg.toObject ? msg.toObject() : { ...msg };
+  if (obj.encryption === "e2ee") obj.envelopes = filterEnvelopes(obj.envelopes, userId, deviceId);
+  obj.attachments = (obj.attachments || []).map(a => toViewerAttachment(obj, a, userId));
+  obj.replyTo = toQuote(obj.replyTo, userId);
+  obj.editHistory = toViewerHistory(obj, userId, deviceId);
+  return withReadableContent(obj, encryptionContextOf(obj));
+};
+
+// Queue a new or changed message for both participants, each with their own view of it
+const broadcastMessage = (app, msg) => {
+  try {
+    // Group messages go to the group's room, each member's sockets getting their own copy
+    if (msg.conversation) {
+      emitToRoom(app, conversationRoom(msg.conversation), 'messages', uid => [toViewerMessage(msg, uid)])
+        .catch(e => console.error("Group message emit error:", e));
+      return;
+    }
+
+    const io = app?.locals?.io;
+    const userSockets = app?.locals?.userSockets;
+    if (!io || !userSockets) return;
+
+    [...new Set([String(msg.from), String(msg.to)])].forEach(uid => {
+      if (!sendQueue.has(uid)) sendQueue.set(uid, []);
+      sendQueue.get(uid).push(toViewerMessage(msg, uid));
+      setTimeout(() => flushQueue(io, userSockets, uid), 50); // flush after 50ms
+    });
+  } catch (e) { console.error(e); }
+};
+
+// --- Message content ---
+// Checks and packs E2EE envelopes for `recipientIds`, or encrypts `text` with the server key ring
+// bound to `context` (see encryptionContextOf). Returns `{ error: { status, body } }` when the
+// request can't be accepted.
+const buildContent = async (req, { e2ee, text, context, recipientIds }) => {
+  if (!e2ee) {
+    if (!text) return { content: { encryption: "server" } };
+    const { payload, keyId } = encryptText(text, context);
+    return { content: { encryption: "server", encryptedContent: payload, encryptionKeyId: keyId } };
+  }
+
+  const invalid = validateEnvelopes(req.body, { users: recipientIds.length + 1 });
+  if (invalid) return { error: { status: 400, body: { message: invalid } } };
+
+  const { senderDeviceId, envelopes } = req.body;
+  if (isDbConnected() && mongoose.connection.readyState === 1) {
+    // Every device must get its own envelope; otherwise the client refetches key bundles and re-encrypts
+    const { error, missingDevices, staleDevices } = await checkDeviceCoverage({
+      senderId: req.user._id, senderDeviceId, recipientIds, envelopes
+    });
+    if (error || missingDevices.length || staleDevices.length) {
+      return { error: { status: 409, body: { message: error || "Device list changed", missingDevices, staleDevices } } };
+    }
+  }
+
+  return {
+    content: {
+      encryption: "e2ee",
+      senderDeviceId,
+      envelopes: envelopes.map(({ userId, deviceId, type, header, ciphertext }) => ({ user: userId, deviceId, type, header, ciphertext })),
+    },
+  };
+};
+
+// Whether a message belongs to the conversation between two users
+const isConversationMessage = async (messageId, userId, otherId) => {
+  const a = String(userId);
+  const b = String(otherId);
+  if (isDbConnected() && mongoose.connection.readyState === 1) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) return false;
+    return Boolean(await Message.exists({ _id: messageId, $or: [{ from: a, to: b }, { from: b, to: a }] }));
+  }
+  return messageStore.messages.some(m => m._id === String(messageId) && (
+    (String(m.from) === a && String(m.to) === b) || (String(m.from) === b && String(m.to) === a)
+  ));
+};
+
+// Whether a user took part in a message: its sender or recipient, or for groups a current
+// member who joined before it was sent
+const isParticipant = async (m, userId) => {
+  if (!m) return false;
+  if (!m.conversation) return String(m.from) === userId || String(m.to) === userId;
+
+  const group = await findGroupForMember(m.conversation, userId);
+  const member = group?.members.find(x => String(x.user) === userId);
+  return Boolean(member && new Date(m.createdAt) >= member.joinedAt);
+};
+
+// Whether a user can see a message: a participant who hasn't deleted it for themselves
+const canSeeMessage = async (m, userId) => {
+  if (!m || m.isUnsent) return false;
+  if (Array.isArray(m.deletedFor) && m.deletedFor.map(String).includes(userId)) return false;
+  return isParticipant(m, userId);
+};
+
+// Messages that getMessagePolicy refuses
+const POLICY_ERRORS = {
+  closed: "This user only accepts messages from friends and matches",
+  limited: "You can send one message until your request is accepted",
 };
 
 // --- Send Message ---
+// End-to-end encrypted when the body carries `envelopes` (format in SECURITY.md);
+// a plain `text` body is encrypted at rest with the server key ring. Multipart requests
+// can add files in `attachments`.
 export const sendMessage = async (req, res) => {
   try {
-    const { to, text } = req.body;
-    if (!to || !text) return res.status(400).json({ message: "Missing to/text" });
+    const { to, text, replyTo } = req.body;
+    const files = req.files || [];
+    const e2ee = req.body.envelopes !== undefined;
+    if (!to || (!e2ee && !text && !files.length)) return res.status(400).json({ message: "Missing to/text" });
+    if (e2ee && files.length) {
+      return res.status(400).json({ message: "Attachments can't be sent with end-to-end encrypted messages yet" });
+    }
+
+    // Strangers go through message requests, depending on the recipient's privacy settings
+    let policy = { status: "open" };
+    if (isDbConnected()) {
+      if (await isBlockedBetween(req.user._id, to)) {
+        return res.status(403).json({ message: "You cannot message this user" });
+      }
+      policy = await getMessagePolicy(req.user._id, to);
+      if (POLICY_ERRORS[policy.status]) return res.status(403).json({ message: POLICY_ERRORS[policy.status] });
+    }
+
+    const { error: attachmentError, attachments: uploads = [] } = validateAttachments(files);
+    if (attachmentError) return res.status(400).json({ message: attachmentError });
+
+    if (replyTo && !(await isConversationMessage(replyTo, req.user._id, to))) {
+      return res.status(400).json({ message: "Invalid replyTo" });
+    }
 
-    // Generate encryption key and encrypt message
-    const encryptionKey = generateEncryptionKey();
-    const encryptedContent = encryptMessage(text, encryptionKey);
-    const contentKeyHash = await hashValue(encryptionKey);
+    const { error, content } = await buildContent(req, {
+      e2ee, text, context: messageEncryptionContext(req.user._id, to), recipientIds: [to]
+    });
+    if (error) return res.status(error.status).json(error.body);
+    if (replyTo) content.replyTo = replyTo;
+
+    // Claim the request before storing anything; of parallel first messages only one gets it
+    const claimed = policy.status === "request";
+    if (claimed) {
+      policy = await claimMessageRequest(req.user._id, to);
+      if (POLICY_ERRORS[policy.status]) return res.status(403).json({ message: POLICY_ERRORS[policy.status] });
+    }
+    const releaseClaim = () => claimed && policy.status === "request" && releaseMessageRequest(req.user._id, to);
+
+    // Upload only once everything else has been checked
+    try {
+      content.attachments = await storeAttachments(req.user._id, uploads);
+    } catch (err) {
+      await releaseClaim();
+      throw err;
+    }
 
     let msg;
 
     if (isDbConnected() && mongoose.connection.readyState === 1) {
-      msg = await Message.create({ 
-        from: req.user._id, 
-        to, 
-        encryptedContent,
-        contentKeyHash
-      });
+      try {
+        msg = await Message.create({ 
+          from: req.user._id, 
+          to, 
+          ...content
+        });
+      } catch (err) {
+        content.attachments.forEach(deleteStoredFile);
+        await releaseClaim();
+        throw err;
+      }
       if (String(req.user._id) === String(to)) {
-        msg = await Message.findByIdAndUpdate(msg._id, { seen: true }, { new: true });
+        msg = await Message.findByIdAndUpdate(msg._id, { seen: true, deliveredAt: msg.createdAt, readAt: msg.createdAt }, { new: true });
       }
+      await msg.populate("replyTo", REPLY_TO_FIELDS);
     } else {
       // Fallback: in-memory store
+      const createdAt = new Date();
+      const toSelf = String(req.user._id) === String(to);
       msg = { 
         _id: `m-${Date.now()}`, 
         from: req.user._id, 
         to, 
-        encryptedContent,
-        contentKeyHash,
-        seen: String(req.user._id) === String(to), 
-        createdAt: new Date() 
+        ...content,
+        seen: toSelf, 
+        ...(toSelf ? { deliveredAt: createdAt, readAt: createdAt } : {}),
+        createdAt 
       };
       messageStore.messages.push(msg);
     }
 
     // Emit via socket
-    try {
-      const io = req.app?.locals?.io;
-      const userSockets = req.app?.locals?.userSockets;
-      if (io && userSockets) {
-        [to, req.user._id].forEach(uid => {
-          if (!sendQueue.has(uid)) sendQueue.set(uid, []);
-          sendQueue.get(uid).push(msg);
-          setTimeout(() => flushQueue(io, userSockets, uid), 50); // flush after 50ms
-        });
-      }
-    } catch (e) { console.error(e); }
+    broadcastMessage(req.app, msg);
 
-    // Return message with encryption key for sender's records
-    const responseMessage = {
-      ...msg.toObject ? msg.toObject() : msg,
-      encryptionKey: encryptionKey, // Only sent to sender for their records
-      isEncrypted: true
-    };
+    if (isDbConnected() && mongoose.connection.readyState === 1) {
+      try {
+        pushInbox(req.app, await recordConversationMessage(msg, {
+          request: policy.status === "request",
+          accept: Boolean(policy.accept),
+        }));
+      } catch (e) { console.error("Inbox update error:", e); }
+    }
 
-    return res.json(responseMessage);
+    return res.json(toViewerMessage(msg, req.user._id));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 };
 
+// --- Conversation cursors ---
+// Opaque "<createdAt ms>:<id>" so DB and in-memory messages page the same way
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const encodeCursor = (msg) => `${new Date(msg.createdAt).getTime()}:${msg._id}`;
+
+/**
+ * Page size from a `limit` query parameter: 50 by default, clamped to 1..100
+ * @param {string} [value] - Raw query value
+ * @returns {number}
+ */
+export const parsePageSize = (value) =>
+  Math.min(Math.max(parseInt(value || String(DEFAULT_PAGE_SIZE), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Messages strictly older than a decoded cursor
+const olderThan = (before) => ({
+  $or: [
+    { createdAt: { $lt: before.createdAt } },
+    { createdAt: before.createdAt, _id: { $lt: new mongoose.Types.ObjectId(before.id) } },
+  ],
+});
+
+const decodeCursor = (cursor) => {
+  const value = String(cursor);
+  const sep = value.indexOf(":");
+  const ms = value.slice(0, sep);
+  const id = sep === -1 ? "" : value.slice(sep + 1);
+  const createdAt = new Date(Number(ms));
+  if (!ms || !id || Number.isNaN(createdAt.getTime())) return null;
+  return { createdAt, id };
+};
+
 // --- Get Conversation ---
+// Newest page first; each page is returned oldest-to-newest for display.
+// Pass `nextCursor` back as `before` to load older messages.
 export const getConversation = async (req, res) => {
   try {
     const otherId = req.params.userId;
     if (!otherId) return res.status(400).json({ message: "No userId" });
 
+    const limit = parsePageSize(req.query.limit);
+    const before = req.query.before ? decodeCursor(req.query.before) : null;
+    if (req.query.before && !before) return res.status(400).json({ message: "Invalid cursor" });
+
+    const userId = String(req.user._id);
     let msgs = [];
     if (isDbConnected() && mongoose.connection.readyState === 1) {
-      const raw = await Message.find({ $or: [
-        { from: req.user._id, to: otherId },
-        { from: otherId, to: req.user._id }
-      ]}).sort({ createdAt: 1 });
-      msgs = raw.filter(m => !m.deletedFor?.some(u => String(u) === String(req.user._id)));
+      if (!mongoose.Types.ObjectId.isValid(otherId)) return res.status(400).json({ message: "Invalid userId" });
+      // Conversations with a blocked user are hidden on both sides
+      if (await isBlockedBetween(userId, otherId)) return res.json({ messages: [], hasMore: false, nextCursor: null });
+
+      const filter = {
+        $or: [
+          { from: userId, to: otherId },
+          { from: otherId, to: userId },
+        ],
+        deletedFor: { $ne: userId },
+      };
+      if (before) {
+        if (!mongoose.Types.ObjectId.isValid(before.id)) return res.status(400).json({ message: "Invalid cursor" });
+        filter.$and = [olderThan(before)];
+      }
+
+      msgs = await Message.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).populate("replyTo", REPLY_TO_FIELDS);
     } else {
-      msgs = messageStore.messages.filter(m => (
-        (String(m.from) === String(req.user._id) && String(m.to) === String(otherId)) ||
-        (String(m.from) === String(otherId) && String(m.to) === String(req.user._id))
-      ) && !(Array.isArray(m.deletedFor) && m.deletedFor.map(String).includes(String(req.user._id))));
-      msgs.sort((a,b) => new Date(a.createdAt) - new Date(b.createdAt));
+      msgs = messageStore.messages
+        .filter(m => (
+          (String(m.from) === userId && String(m.to) === String(otherId)) ||
+          (String(m.from) === String(otherId) && String(m.to) === userId)
+        ) && !(Array.isArray(m.deletedFor) && m.deletedFor.map(String).includes(userId)))
+        .filter(m => {
+          if (!before) return true;
+          const t = new Date(m.createdAt).getTime();
+          return t < before.createdAt.getTime() || (t === before.createdAt.getTime() && String(m._id) < before.id);
+        })
+        .sort((a, b) => (new Date(b.createdAt) - new Date(a.createdAt)) || (String(b._id) < String(a._id) ? -1 : 1))
+        .slice(0, limit + 1);
     }
 
-    // Add a flag to indicate messages are encrypted and need client-side decryption
-    const responseMessages = msgs.map(msg => ({
-      ...msg.toObject ? msg.toObject() : msg,
-      isEncrypted: true,
-      encryptedContent: msg.encryptedContent
-    }));
+    const hasMore = msgs.length > limit;
+    const page = hasMore ? msgs.slice(0, limit) : msgs;
+
+    // Flagged as encrypted for client-side decryption; `deviceId` narrows E2EE envelopes to one device
+    const messages = page.reverse().map(msg => toViewerMessage(msg, userId, req.query.deviceId));
 
-    res.json(responseMessages);
+    res.json({
+      messages,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(messages[0]) : null,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// --- Inbox ---
+// One entry per conversation partner, most recent activity first
+const isOnlineNow = (app, userId) => {
+  const sockets = app?.locals?.userSockets?.get(String(userId));
+  if (sockets && sockets.size > 0) return true;
+  const ts = messageStore.presence[String(userId)];
+  return Boolean(ts && (Date.now() - ts) <= PRESENCE_TTL_MS);
+};
+
+const toPreview = (lastMessage, context) => lastMessage?._id
+  ? withReadableContent(lastMessage.toObject ? lastMessage.toObject() : lastMessage, context)
+  : null;
+
+// Senders are never told that a request was declined; it just stays pending for them
+const toRequestView = (request, viewerId) => {
+  if (!request?.status || request.status === "accepted") return null;
+  const incoming = String(request.to) === viewerId;
+  return { status: incoming ? request.status : "pending", incoming, createdAt: request.createdAt };
+};
+
+// Conversation document (participants populated) as seen by one of its participants
+const toInboxEntry = (app, conversation, viewerId) => {
+  const viewer = String(viewerId);
+  const participants = (conversation.participants || []).filter(Boolean);
+
+  if (conversation.type === "group") {
+    return {
+      conversationId: conversation._id,
+      type: "group",
+      group: { name: conversation.name, avatar: conversation.avatar?.url || null, memberCount: participants.length },
+      lastMessage: toPreview(conversation.lastMessage, groupEncryptionContext(conversation._id)),
+      lastMessageAt: conversation.lastMessageAt,
+      unreadCount: conversation.unreadCounts?.get?.(viewer) || 0,
+    };
+  }
+
+  const partner = participants.find(p => String(p._id) !== viewer) || participants.find(p => String(p._id) === viewer);
+  if (!partner) return null; // partner account deleted
+
+  return {
+    conversationId: conversation._id,
+    type: "direct",
+    user: { ...partner.toObject ? partner.toObject() : partner, isOnline: isOnlineNow(app, partner._id) },
+    lastMessage: toPreview(conversation.lastMessage, messageEncryptionContext(viewer, partner._id)),
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount: conversation.unreadCounts?.get?.(viewer) || 0,
+    request: toRequestView(conversation.request, viewer),
+  };
+};
+
+/**
+ * Send each participant their updated inbox entry so badges and ordering stay live
+ * @param {Object} app - Express app holding `io` and `userSockets` in locals
+ * @param {Object|null} conversation - Conversation with participants populated (ignored when null)
+ */
+export const pushInbox = (app, conversation) => {
+  if (!conversation) return;
+  const { request } = conversation;
+  (conversation.participants || []).filter(Boolean).forEach(p => {
+    // Requests go to the recipient's requests folder, declined ones nowhere
+    const incoming = Boolean(request?.status) && String(request.to) === String(p._id);
+    if (incoming && request.status === "declined") return;
+    const entry = toInboxEntry(app, conversation, p._id);
+    if (entry) emitToUser(app, p._id, incoming && request.status === "pending" ? 'messageRequest' : 'inbox', entry);
+  });
+};
+
+// In-memory fallback: derive the inbox from the message store
+const buildInboxFromStore = (app, userId) => {
+  const latest = new Map();
+  messageStore.messages.forEach(m => {
+    const from = String(m.from);
+    const to = String(m.to);
+    if (from !== userId && to !== userId) return;
+    if (Array.isArray(m.deletedFor) && m.deletedFor.map(String).includes(userId)) return;
+
+    const partnerId = from === userId ? to : from;
+    const entry = latest.get(partnerId) || { partnerId, lastMessage: null, unreadCount: 0 };
+    if (!entry.lastMessage || new Date(m.createdAt) >= new Date(entry.lastMessage.createdAt)) entry.lastMessage = m;
+    if (to === userId && from !== userId && !m.seen) entry.unreadCount += 1;
+    latest.set(partnerId, entry);
+  });
+
+  return [...latest.values()].map(({ partnerId, lastMessage, unreadCount }) => ({
+    conversationId: directConversationKey(userId, partnerId),
+    type: "direct",
+    user: { _id: partnerId, isOnline: isOnlineNow(app, partnerId) },
+    lastMessage: toPreview({
+      _id: lastMessage._id,
+      from: lastMessage.from,
+      encryption: lastMessage.encryption,
+      encryptedContent: lastMessage.isUnsent ? "" : lastMessage.encryptedContent,
+      isUnsent: Boolean(lastMessage.isUnsent),
+      createdAt: lastMessage.createdAt,
+    }, messageEncryptionContext(userId, partnerId)),
+    lastMessageAt: lastMessage.createdAt,
+    unreadCount,
+  }));
+};
+
+/**
+ * Load a page of the signed-in user's inbox
+ * @param {Object} req - Express request with req.user
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @param {string} [options.before] - `nextCursor` of the previous page
+ * @param {"inbox"|"requests"} [options.folder] - Accepted conversations, or pending message requests to the user
+ * @returns {Promise<{conversations: Array<Object>, hasMore: boolean, nextCursor: string|null}|null>} null for an invalid cursor
+ */
+export const loadInbox = async (req, { limit = DEFAULT_PAGE_SIZE, before, folder = "inbox" } = {}) => {
+  const userId = String(req.user._id);
+  const cursor = before ? decodeCursor(before) : null;
+  if (before && !cursor) return null;
+
+  let entries;
+  if (isDbConnected() && mongoose.connection.readyState === 1) {
+    // Direct conversations with a blocked user are hidden on both sides; groups stay listed
+    const blockedIds = await getBlockedIds(userId);
+    const filter = {
+      participants: userId,
+      $and: [{ $or: [{ type: "group" }, { participants: { $nin: blockedIds } }] }],
+    };
+    if (folder === "requests") {
+      Object.assign(filter, { "request.to": userId, "request.status": "pending" });
+    } else {
+      filter.$and.push({ $nor: [{ "request.to": userId, "request.status": { $in: ["pending", "declined"] } }] });
+    }
+    if (cursor) {
+      if (!mongoose.Types.ObjectId.isValid(cursor.id)) return null;
+      filter.$and.push({
+        $or: [
+          { lastMessageAt: { $lt: cursor.createdAt } },
+          { lastMessageAt: cursor.createdAt, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } },
+        ],
+      });
+    }
+
+    const conversations = await Conversation.find(filter)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("participants", INBOX_USER_FIELDS);
+    entries = conversations.map(c => ({ ...toInboxEntry(req.app, c, userId), lastMessageAt: c.lastMessageAt, _cursorId: c._id }));
+  } else if (folder === "requests") {
+    entries = []; // the in-memory store has no message requests
+  } else {
+    entries = buildInboxFromStore(req.app, userId)
+      .map(e => ({ ...e, _cursorId: e.conversationId }))
+      .filter(e => {
+        if (!cursor) return true;
+        const t = new Date(e.lastMessageAt).getTime();
+        return t < cursor.createdAt.getTime() || (t === cursor.createdAt.getTime() && String(e._cursorId) < cursor.id);
+      })
+      .sort((a, b) => (new Date(b.lastMessageAt) - new Date(a.lastMessageAt)) || (String(b._cursorId) < String(a._cursorId) ? -1 : 1))
+      .slice(0, limit + 1);
+  }
+
+  const hasMore = entries.length > limit;
+  const page = hasMore ? entries.slice(0, limit) : entries;
+  const last = page[page.length - 1];
+
+  return {
+    // Entries whose partner account no longer exists are dropped
+    conversations: page.filter(e => e.user || e.group).map(({ _cursorId, ...e }) => e),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ createdAt: last.lastMessageAt, _id: last._cursorId }) : null,
+  };
+};
+
+export const getInbox = async (req, res) => {
+  try {
+    const limit = parsePageSize(req.query.limit);
+    const inbox = await loadInbox(req, { limit, before: req.query.before });
+    if (!inbox) return res.status(400).json({ message: "Invalid cursor" });
+    res.json(inbox);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// --- Message Requests ---
+// First messages from people who aren't friends or mutual matches wait here until the
+// recipient accepts (or replies), declines or blocks. The sender can't send more meanwhile.
+export const getMessageRequests = async (req, res) => {
+  try {
+    const limit = parsePageSize(req.query.limit);
+    const requests = await loadInbox(req, { limit, before: req.query.before, folder: "requests" });
+    if (!requests) return res.status(400).json({ message: "Invalid cursor" });
+    res.json(requests);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Move the request from `otherId` to the signed-in user into `status`, if it is in one of `from`
+const answerRequest = (req, otherId, status, from) => {
+  const userId = String(req.user._id);
+  if (!mongoose.Types.ObjectId.isValid(otherId)) return null;
+  return Conversation.findOneAndUpdate(
+    { key: directConversationKey(userId, otherId), "request.to": userId, "request.status": { $in: from } },
+    {
+      $set: {
+        "request.status": status,
+        "request.respondedAt": new Date(),
+        // Declined requests leave the inbox, and their unread badge with them
+        ...(status === "declined" ? { [`unreadCounts.${userId}`]: 0 } : {}),
+      },
+    },
+    { new: true }
+  ).populate("participants", INBOX_USER_FIELDS);
+};
+
+export const acceptMessageRequest = async (req, res) => {
+  try {
+    // Declined requests can still be accepted later
+    const conversation = await answerRequest(req, req.params.userId, "accepted", ["pending", "declined"]);
+    if (!conversation) return res.status(404).json({ message: "No message request from this user" });
+
+    pushInbox(req.app, conversation);
+    res.json(toInboxEntry(req.app, conversation, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+export const declineMessageRequest = async (req, res) => {
+  try {
+    const conversation = await answerRequest(req, req.params.userId, "declined", ["pending"]);
+    if (!conversation) return res.status(404).json({ message: "No message request from this user" });
+
+    res.json({ message: "Request declined" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Decline and block the sender (same as POST /api/users/:id/block)
+export const blockMessageRequest = async (req, res) => {
+  try {
+    const conversation = await answerRequest(req, req.params.userId, "declined", ["pending", "declined"]);
+    if (!conversation) return res.status(404).json({ message: "No message request from this user" });
+
+    await blockUser(req.user._id, req.params.userId);
+    res.json({ message: "User blocked" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// --- Group Messages ---
+// Addressed to a group conversation instead of a user and delivered through the group's room.
+// Same body as /send: `text` and/or `attachments`, or E2EE envelopes for every member's devices.
+export const sendGroupMessage = async (req, res) => {
+  try {
+    const { text, replyTo } = req.body;
+    const files = req.files || [];
+    const e2ee = req.body.envelopes !== undefined;
+    if (!e2ee && !text && !files.length) return res.status(400).json({ message: "Missing text" });
+    if (e2ee && files.length) {
+      return res.status(400).json({ message: "Attachments can't be sent with end-to-end encrypted messages yet" });
+    }
+
+    const userId = String(req.user._id);
+    const conversation = await findGroupForMember(req.params.conversationId, userId);
+    if (!conversation) return res.status(404).json({ message: "Conversation not found" });
+
+    const { error: attachmentError, attachments: uploads = [] } = validateAttachments(files);
+    if (attachmentError) return res.status(400).json({ message: attachmentError });
+
+    if (replyTo && !(mongoose.Types.ObjectId.isValid(replyTo) && await Message.exists({ _id: replyTo, conversation: conversation._id }))) {
+      return res.status(400).json({ message: "Invalid replyTo" });
+    }
+
+    const { error, content } = await buildContent(req, {
+      e2ee,
+      text,
+      context: groupEncryptionContext(conversation._id),
+      recipientIds: conversation.participants.filter(id => String(id) !== userId),
+    });
+    if (error) return res.status(error.status).json(error.body);
+    if (replyTo) content.replyTo = replyTo;
+
+    // Upload only once everything else has been checked
+    content.attachments = await storeAttachments(userId, uploads);
+
+    let msg;
+    try {
+      msg = await Message.create({ from: userId, conversation: conversation._id, ...content });
+    } catch (err) {
+      content.attachments.forEach(deleteStoredFile);
+      throw err;
+    }
+    await msg.populate("replyTo", REPLY_TO_FIELDS);
+
+    // Emit via socket
+    broadcastMessage(req.app, msg);
+
+    try {
+      pushInbox(req.app, await recordGroupMessage(msg, conversation));
+    } catch (e) { console.error("Inbox update error:", e); }
+
+    res.json(toViewerMessage(msg, userId));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Same paging as getConversation; members only see what was sent after they joined
+export const getGroupMessages = async (req, res) => {
+  try {
+    const limit = parsePageSize(req.query.limit);
+    const before = req.query.before ? decodeCursor(req.query.before) : null;
+    if (req.query.before && !before) return res.status(400).json({ message: "Invalid cursor" });
+
+    const userId = String(req.user._id);
+    const conversation = await findGroupForMember(req.params.conversationId, userId);
+    if (!conversation) return res.status(404).json({ message: "Conversation not found" });
+    const member = conversation.members.find(m => String(m.user) === userId);
+
+    const filter = {
+      conversation: conversation._id,
+      deletedFor: { $ne: userId },
+      createdAt: { $gte: member.joinedAt },
+    };
+    if (before) {
+      if (!mongoose.Types.ObjectId.isValid(before.id)) return res.status(400).json({ message: "Invalid cursor" });
+      filter.$and = [olderThan(before)];
+    }
+
+    const msgs = await Message.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).populate("replyTo", REPLY_TO_FIELDS);
+    const hasMore = msgs.length > limit;
+    const page = hasMore ? msgs.slice(0, limit) : msgs;
+    const messages = page.reverse().map(msg => toViewerMessage(msg, userId, req.query.deviceId));
+
+    res.json({
+      messages,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(messages[0]) : null,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Per-member read state: moves the caller's read marker forward to `messageId`, or to the
+// latest message. Other members get a `read` event so they can show who has seen what.
+export const markGroupRead = async (req, res) => {
+  try {
+    const userId = String(req.user._id);
+    const conversation = await findGroupForMember(req.params.conversationId, userId);
+    if (!conversation) return res.status(404).json({ message: "Conversation not found" });
+
+    let readAt = conversation.lastMessage?.createdAt;
+    let readMessage = conversation.lastMessage?._id;
+    if (req.body.messageId) {
+      const m = mongoose.Types.ObjectId.isValid(req.body.messageId)
+        && await Message.findOne({ _id: req.body.messageId, conversation: conversation._id }).select("createdAt");
+      if (!m) return res.status(400).json({ message: "Invalid messageId" });
+      readAt = m.createdAt;
+      readMessage = m._id;
+    }
+
+    let member = conversation.members.find(m => String(m.user) === userId);
+    let unreadCount = conversation.unreadCounts?.get?.(userId) || 0;
+
+    if (readAt && readAt > member.lastReadAt) {
+      unreadCount = await Message.countDocuments({
+        conversation: conversation._id,
+        from: { $ne: userId },
+        createdAt: { $gt: readAt },
+        isUnsent: false,
+        deletedFor: { $ne: userId },
+      });
+      // Never moves the marker backwards, even when two reads race
+      const updated = await Conversation.findOneAndUpdate(
+        { _id: conversation._id, members: { $elemMatch: { user: userId, lastReadAt: { $lt: readAt } } } },
+        {
+          $set: {
+            [`unreadCounts.${userId}`]: unreadCount,
+            "members.$[me].lastReadAt": readAt,
+            "members.$[me].lastReadMessage": readMessage,
+          },
+        },
+        { new: true, arrayFilters: [{ "me.user": userId }] }
+      ).populate("participants", INBOX_USER_FIELDS);
+
+      if (updated) {
+        member = updated.members.find(m => String(m.user) === userId);
+        emitToUser(req.app, userId, 'inbox', toInboxEntry(req.app, updated, userId));
+        req.app?.locals?.io?.to(conversationRoom(conversation._id)).emit('read', {
+          conversationId: conversation._id,
+          userId,
+          lastReadAt: member.lastReadAt,
+          lastReadMessage: member.lastReadMessage,
+        });
+      }
+    }
+
+    res.json({
+      conversationId: conversation._id,
+      lastReadAt: member.lastReadAt,
+      lastReadMessage: member.lastReadMessage || null,
+      unreadCount,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// --- Get Attachment ---
+// Participants only: either signed in, or through the per-user URL from the message payload
+export const getAttachment = async (req, res) => {
+  try {
+    const { messageId, attachmentId } = req.params;
+    const userId = req.user ? String(req.user._id) : verifyAttachmentToken(req.query.token, messageId, attachmentId);
+    if (!userId) return res.status(401).json({ message: "Unauthorized: Invalid token" });
+
+    let m;
+    if (isDbConnected() && mongoose.connection.readyState === 1) {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) return res.status(404).json({ message: "Not found" });
+      m = await Message.findById(messageId).select("from to conversation isUnsent deletedFor attachments createdAt").lean();
+    } else {
+      m = messageStore.messages.find(x => x._id === messageId);
+    }
+
+    if (!(await canSeeMessage(m, userId))) return res.status(404).json({ message: "Not found" });
+    const otherId = String(m.from) === userId ? m.to : m.from;
+    if (!m.conversation && isDbConnected() && await isBlockedBetween(userId, otherId)) return res.status(404).json({ message: "Not found" });
+
+    const attachment = (m.attachments || []).find(a => String(a._id) === attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Not found" });
+
+    res.set("Cache-Control", "private, max-age=300");
+    if (attachment.storage === "cloudinary") return res.redirect(privateFileUrl(attachment));
+
+    // Images and audio display inline; anything else is downloaded
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Cross-Origin-Resource-Policy", "cross-origin");
+    res.attachment(attachment.name);
+    res.type(attachment.mimeType); // after attachment(), which guesses a type from the name
+    if (attachment.kind !== "file") res.set("Content-Disposition", res.get("Content-Disposition").replace(/^attachment/, "inline"));
+    res.sendFile(localFilePath(attachment));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -133,19 +926,36 @@ export const markSeen = async (req, res) => {
     const messageId = req.params.messageId;
     if (!messageId) return res.status(400).json({ message: "No messageId" });
 
+    // Only the recipient can mark a message as seen
+    const userId = String(req.user._id);
     let m;
     if (isDbConnected() && mongoose.connection.readyState === 1) {
-      m = await Message.findByIdAndUpdate(messageId, { seen: true }, { new: true });
+      if (!mongoose.Types.ObjectId.isValid(messageId)) return res.status(404).json({ message: "Not found" });
+      const now = new Date();
+      m = await Message.findOneAndUpdate(
+        { _id: messageId, to: userId },
+        // Keep the first read (and delivery) time when marked again
+        [{ $set: { seen: true, readAt: { $ifNull: ["$readAt", now] }, deliveredAt: { $ifNull: ["$deliveredAt", now] } } }],
+        { new: true }
+      ).populate("replyTo", REPLY_TO_FIELDS);
+      if (m) {
+        try {
+          pushInbox(req.app, await syncUnreadCount(userId, m.from));
+        } catch (e) { console.error("Inbox update error:", e); }
+      }
     } else {
-      m = messageStore.messages.find(x => x._id === messageId);
-      if (m) m.seen = true;
+      m = messageStore.messages.find(x => x._id === messageId && String(x.to) === userId);
+      if (m) {
+        const now = new Date();
+        Object.assign(m, { seen: true, readAt: m.readAt || now, deliveredAt: m.deliveredAt || now });
+      }
     }
 
     if (m) {
       const io = req.app?.locals?.io;
       const userSockets = req.app?.locals?.userSockets;
-      if (io && userSockets) emitMessage(io, userSockets, m.from, 'seen', m);
-      return res.json(m);
+      if (io && userSockets) emitMessage(io, userSockets, m.from, 'seen', toViewerMessage(m, m.from));
+      return res.json(toViewerMessage(m, userId));
     }
 
     res.status(404).json({ message: "Not found" });
@@ -154,6 +964,65 @@ export const markSeen = async (req, res) => {
   }
 };
 
+// --- Read Up To ---
+// Marks everything the other user sent up to and including `messageId` (a message of either side)
+// as read in one call. The sender gets a `read` event with the new marker; their messages up to
+// `lastReadMessage` are read.
+export const markReadUpTo = async (req, res) => {
+  try {
+    const userId = String(req.user._id);
+    const { userId: otherId, messageId } = req.params;
+    const readAt = new Date();
+    let upTo;
+    let updated;
+
+    if (isDbConnected() && mongoose.connection.readyState === 1) {
+      if (!mongoose.Types.ObjectId.isValid(otherId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(404).json({ message: "Not found" });
+      }
+      upTo = await Message.findOne({
+        _id: messageId,
+        $or: [{ from: userId, to: otherId }, { from: otherId, to: userId }],
+      }).select("createdAt").lean();
+      if (!upTo) return res.status(404).json({ message: "Not found" });
+
+      const result = await Message.updateMany(
+        {
+          from: otherId,
+          to: userId,
+          seen: false,
+          $or: [{ createdAt: { $lt: upTo.createdAt } }, { createdAt: upTo.createdAt, _id: { $lte: upTo._id } }],
+        },
+        [{ $set: { seen: true, readAt, deliveredAt: { $ifNull: ["$deliveredAt", readAt] } } }]
+      );
+      updated = result.modifiedCount;
+      if (updated) {
+        try {
+          pushInbox(req.app, await syncUnreadCount(userId, otherId));
+        } catch (e) { console.error("Inbox update error:", e); }
+      }
+    } else {
+      upTo = messageStore.messages.find(x => x._id === messageId && (
+        (String(x.from) === userId && String(x.to) === otherId) || (String(x.from) === otherId && String(x.to) === userId)
+      ));
+      if (!upTo) return res.status(404).json({ message: "Not found" });
+
+      const read = messageStore.messages.filter(m =>
+        String(m.from) === otherId && String(m.to) === userId && !m.seen && new Date(m.createdAt) <= new Date(upTo.createdAt)
+      );
+      read.forEach(m => Object.assign(m, { seen: true, readAt, deliveredAt: m.deliveredAt || readAt }));
+      updated = read.length;
+    }
+
+    if (updated && otherId !== userId) {
+      emitToUser(req.app, otherId, 'read', { userId, lastReadMessage: upTo._id, lastReadAt: readAt });
+    }
+    res.json({ lastReadMessage: upTo._id, lastReadAt: readAt, updated });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
 // --- Heartbeat ---
 export const heartbeat = async (req, res) => {
   try {
@@ -162,7 +1031,7 @@ export const heartbeat = async (req, res) => {
 
     try {
       const io = req.app?.locals?.io;
-      if (io) io.emit('presence', { userId, online: true });
+      if (io) emitPresence(io, userId, true);
     } catch (e) {}
 
     res.json({ ok: true });
@@ -177,21 +1046,22 @@ export const deleteForMe = async (req, res) => {
     const messageId = req.params.messageId;
     if (!messageId) return res.status(400).json({ message: "No messageId" });
 
+    // Participants only, including for unsent messages (to clear the placeholder)
+    const userId = String(req.user._id);
     let m;
     if (isDbConnected() && mongoose.connection.readyState === 1) {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) return res.status(404).json({ message: "Not found" });
       m = await Message.findById(messageId);
-      if (!m) return res.status(404).json({ message: "Not found" });
-      const userId = String(req.user._id);
-      m = await Message.findByIdAndUpdate(messageId, { $addToSet: { deletedFor: userId } }, { new: true });
+      if (!(await isParticipant(m, userId))) return res.status(404).json({ message: "Not found" });
+      m = await Message.findByIdAndUpdate(messageId, { $addToSet: { deletedFor: userId } }, { new: true }).populate("replyTo", REPLY_TO_FIELDS);
     } else {
       m = messageStore.messages.find(x => x._id === messageId);
-      if (!m) return res.status(404).json({ message: "Not found" });
-      const userId = String(req.user._id);
+      if (!(await isParticipant(m, userId))) return res.status(404).json({ message: "Not found" });
       m.deletedFor = Array.isArray(m.deletedFor) ? m.deletedFor : [];
       if (!m.deletedFor.includes(userId)) m.deletedFor.push(userId);
     }
 
-    res.json(m);
+    res.json(toViewerMessage(m, userId));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -208,29 +1078,210 @@ export const unsendMessage = async (req, res) => {
       m = await Message.findById(messageId);
       if (!m) return res.status(404).json({ message: "Not found" });
       if (String(m.from) !== String(req.user._id)) return res.status(403).json({ message: "Not allowed" });
-      m = await Message.findByIdAndUpdate(messageId, { isUnsent: true, text: "" }, { new: true });
+      (m.attachments || []).forEach(deleteStoredFile);
+      m = await Message.findByIdAndUpdate(
+        messageId,
+        { isUnsent: true, encryptedContent: "", envelopes: [], attachments: [], editHistory: [], reactions: [] },
+        { new: true }
+      ).populate("replyTo", REPLY_TO_FIELDS);
+      try {
+        pushInbox(req.app, await markLastMessageUnsent(m));
+      } catch (e) { console.error("Inbox update error:", e); }
     } else {
       m = messageStore.messages.find(x => x._id === messageId);
       if (!m) return res.status(404).json({ message: "Not found" });
       if (String(m.from) !== String(req.user._id)) return res.status(403).json({ message: "Not allowed" });
+      (m.attachments || []).forEach(deleteStoredFile);
       m.isUnsent = true;
-      m.text = "";
+      m.encryptedContent = "";
+      m.envelopes = [];
+      m.attachments = [];
+      m.editHistory = [];
+      m.reactions = [];
     }
 
     // Emit via socket
-    try {
-      const io = req.app?.locals?.io;
-      const userSockets = req.app?.locals?.userSockets;
-      if (io && userSockets && m) {
-        [m.from, m.to].forEach(uid => {
-          if (!sendQueue.has(uid)) sendQueue.set(uid, []);
-          sendQueue.get(uid).push(m);
-          setTimeout(() => flushQueue(io, userSockets, uid), 50);
-        });
+    broadcastMessage(req.app, m);
+
+    res.json(toViewerMessage(m, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// --- Edit Message ---
+// The sender can edit for a while after sending; earlier versions are kept in editHistory
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const MAX_EDITS = 20;
+const editWindowMinutes = () => parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || "", 10) || DEFAULT_EDIT_WINDOW_MINUTES;
+
+export const editMessage = async (req, res) => {
+  try {
+    const messageId = req.params.messageId;
+    if (!messageId) return res.status(400).json({ message: "No messageId" });
+
+    const userId = String(req.user._id);
+    const useDb = isDbConnected() && mongoose.connection.readyState === 1;
+    let m;
+    if (useDb) {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) return res.status(404).json({ message: "Not found" });
+      m = await Message.findById(messageId);
+    } else {
+      m = messageStore.messages.find(x => x._id === messageId);
+    }
+
+    if (!m) return res.status(404).json({ message: "Not found" });
+    if (String(m.from) !== userId) return res.status(403).json({ message: "Not allowed" });
+    if (m.isUnsent || m.encryption === "legacy") return res.status(400).json({ message: "This message can't be edited" });
+    if (Date.now() - new Date(m.createdAt).getTime() > editWindowMinutes() * 60 * 1000) {
+      return res.status(403).json({ message: `Messages can only be edited within ${editWindowMinutes()} minutes of sending` });
+    }
+    if ((m.editHistory || []).length >= MAX_EDITS) {
+      return res.status(409).json({ message: "This message has been edited too many times" });
+    }
+
+    const e2ee = req.body.envelopes !== undefined;
+    if (e2ee !== (m.encryption === "e2ee")) {
+      return res.status(400).json({ message: "Edits must use the same encryption as the original message" });
+    }
+    if (!e2ee && !req.body.text) return res.status(400).json({ message: "Missing text" });
+
+    // E2EE edits are encrypted for whoever is in the conversation now
+    let recipientIds = [m.to];
+    if (m.conversation) {
+      const group = await findGroupForMember(m.conversation, userId);
+      if (!group) return res.status(403).json({ message: "Not allowed" });
+      recipientIds = group.participants.filter(id => String(id) !== userId);
+    } else if (useDb && await isBlockedBetween(userId, m.to)) {
+      return res.status(403).json({ message: "You cannot message this user" });
+    }
+
+    const { error, content } = await buildContent(req, {
+      e2ee, text: req.body.text, context: encryptionContextOf(m), recipientIds
+    });
+    if (error) return res.status(error.status).json(error.body);
+
+    const current = m.toObject ? m.toObject() : m;
+    const previous = {
+      encryptedContent: current.encryptedContent,
+      encryptionKeyId: current.encryptionKeyId,
+      senderDeviceId: current.senderDeviceId,
+      envelopes: current.envelopes,
+      createdAt: current.editedAt || current.createdAt,
+    };
+    const editedAt = new Date();
+
+    if (useDb) {
+      // Only applies if the message wasn't edited or unsent since it was read
+      m = await Message.findOneAndUpdate(
+        { _id: m._id, isUnsent: false, editedAt: current.editedAt || null },
+        { $set: { ...content, editedAt }, $push: { editHistory: previous } },
+        { new: true }
+      ).populate("replyTo", REPLY_TO_FIELDS);
+      if (!m) return res.status(409).json({ message: "The message changed, reload it and try again" });
+
+      try {
+        pushInbox(req.app, await markLastMessageEdited(m));
+      } catch (e) { console.error("Inbox update error:", e); }
+    } else {
+      m.editHistory = [...(m.editHistory || []), previous];
+      Object.assign(m, content, { editedAt });
+    }
+
+    // Emit via socket
+    broadcastMessage(req.app, m);
+
+    res.json(toViewerMessage(m, userId));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// --- Reactions ---
+// One entry per user and emoji; a user can leave a few different emoji on a message
+const MAX_REACTIONS_PER_USER = 5;
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|[\u200D\uFE0F\u20E3])*$/u;
+
+const isEmoji = (value) => typeof value === "string" && value.length <= 32 && EMOJI_PATTERN.test(value);
+
+// A message the user takes part in and can still see, or null
+const findVisibleMessage = async (messageId, userId) => {
+  let m;
+  if (isDbConnected() && mongoose.connection.readyState === 1) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+    m = await Message.findById(messageId);
+  } else {
+    m = messageStore.messages.find(x => x._id === messageId);
+  }
+
+  return (await canSeeMessage(m, userId)) ? m : null;
+};
+
+export const addReaction = async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    if (!isEmoji(emoji)) return res.status(400).json({ message: "Invalid emoji" });
+
+    const userId = String(req.user._id);
+    let m = await findVisibleMessage(req.params.messageId, userId);
+    if (!m) return res.status(404).json({ message: "Not found" });
+
+    const otherId = String(m.from) === userId ? m.to : m.from;
+    if (!m.conversation && isDbConnected() && await isBlockedBetween(userId, otherId)) {
+      return res.status(403).json({ message: "You cannot message this user" });
+    }
+
+    const mine = (m.reactions || []).filter(r => String(r.user) === userId);
+    if (!mine.some(r => r.emoji === emoji)) {
+      if (mine.length >= MAX_REACTIONS_PER_USER) {
+        return res.status(400).json({ message: `You can add at most ${MAX_REACTIONS_PER_USER} reactions to a message` });
+      }
+
+      const reaction = { user: userId, emoji, createdAt: new Date() };
+      if (isDbConnected() && mongoose.connection.readyState === 1) {
+        // The $elemMatch guard keeps a double-tap from adding the same reaction twice
+        await Message.updateOne(
+          { _id: m._id, reactions: { $not: { $elemMatch: { user: userId, emoji } } } },
+          { $push: { reactions: reaction } }
+        );
+        m = await Message.findById(m._id);
+      } else {
+        m.reactions = [...(m.reactions || []), reaction];
+      }
+
+      // Emit via socket
+      broadcastMessage(req.app, m);
+    }
+
+    if (m.populate) await m.populate("replyTo", REPLY_TO_FIELDS);
+    res.json(toViewerMessage(m, userId));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+export const removeReaction = async (req, res) => {
+  try {
+    const emoji = req.body?.emoji || req.query.emoji;
+    if (!isEmoji(emoji)) return res.status(400).json({ message: "Invalid emoji" });
+
+    const userId = String(req.user._id);
+    let m = await findVisibleMessage(req.params.messageId, userId);
+    if (!m) return res.status(404).json({ message: "Not found" });
+
+    if ((m.reactions || []).some(r => String(r.user) === userId && r.emoji === emoji)) {
+      if (isDbConnected() && mongoose.connection.readyState === 1) {
+        m = await Message.findByIdAndUpdate(m._id, { $pull: { reactions: { user: userId, emoji } } }, { new: true });
+      } else {
+        m.reactions = m.reactions.filter(r => !(String(r.user) === userId && r.emoji === emoji));
       }
-    } catch (e) { console.error(e); }
 
-    res.json(m);
+      // Emit via socket
+      broadcastMessage(req.app, m);
+    }
+
+    if (m.populate) await m.populate("replyTo", REPLY_TO_FIELDS);
+    res.json(toViewerMessage(m, userId));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import { isDbConnected } from "../config/db.js";
 import { _exported_messageStore } from "./messageController.js";
+import { getBlockedIdSet } from "../utils/blocks.js";
 
 // GET /api/messages/online-users
 // Returns an array of userIds currently considered online
@@ -32,6 +33,12 @@ export const onlineUsers = async (req, res) => {
       // No-op for now; relies on live sockets mainly when DB is present
     }
 
+    // Users on either side of a block don't see each other's presence
+    if (isDbConnected() && req.user?._id) {
+      const blockedIds = await getBlockedIdSet(req.user._id);
+      blockedIds.forEach((id) => result.delete(id));
+    }
+
     return res.json(Array.from(result));
   } catch (err) {
     res.status(500).json({ message: err.message });
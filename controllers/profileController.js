@@ -1,11 +1,15 @@
 import User from "../models/User.js";
 import mongoose from "mongoose";
 import { isDbConnected } from "../config/db.js";
-import { _exported_messageStore } from "./messageController.js";
+import { loadInbox, parsePageSize } from "./messageController.js";
 import path from "path";
 import fs from "fs";
 import { v2 as cloudinary } from "cloudinary";
 import sanitizer from "sanitizer";
+import { toCoarsePoint } from "../utils/geo.js";
+import { isValidTimezone } from "../utils/timezone.js";
+import { storeFile } from "../utils/storage.js";
+import { MESSAGE_REQUEST_SETTINGS } from "../utils/messageRequests.js";
 
 // Get the sanitize function from the CommonJS module
 const { sanitize } = sanitizer;
@@ -19,28 +23,6 @@ cloudinary.config({
 
 const devStore = { users: [] };
 
-// Middleware: require auth
-export const requireAuth = async (req, res, next) => {
-  const userId = req.headers["x-user-id"] || req.query.userId;
-  if (!userId) return res.status(401).json({ message: "Not authenticated" });
-
-  if (isDbConnected() && mongoose.connection.readyState === 1) {
-    if (!mongoose.Types.ObjectId.isValid(userId))
-      return res.status(401).json({ message: "Invalid user id" });
-    const user = await User.findById(userId);
-    if (!user) return res.status(401).json({ message: "User not found" });
-    req.user = user;
-  } else {
-    let u = devStore.users.find(x => x._id === userId);
-    if (!u) {
-      u = { _id: userId, name: `DevUser-${userId}`, email: `dev${userId}@test.com`, visible: false };
-      devStore.users.push(u);
-    }
-    req.user = u;
-  }
-  next();
-};
-
 // GET /api/profile
 export const getProfile = async (req, res) => {
   try {
@@ -82,10 +64,36 @@ export const updateProfile = async (req, res) => {
       else delete updates.age;
     }
 
-    const allowed = ["name", "bio", "age", "gender", "interests", "location", "visible"];
+    if (updates.timezone !== undefined && !isValidTimezone(updates.timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    const allowed = ["name", "bio", "age", "gender", "interests", "location", "visible", "timezone"];
     const sanitized = {};
     for (const k of allowed) if (updates[k] !== undefined) sanitized[k] = updates[k];
 
+    // Privacy settings are updated one key at a time, leaving the others as they are
+    const messageRequests = updates.privacy?.messageRequests;
+    if (messageRequests !== undefined) {
+      if (!MESSAGE_REQUEST_SETTINGS.includes(messageRequests)) {
+        return res.status(400).json({ message: `privacy.messageRequests must be one of: ${MESSAGE_REQUEST_SETTINGS.join(", ")}` });
+      }
+      sanitized["privacy.messageRequests"] = messageRequests;
+    }
+
+    // Optional coordinates for nearby discovery; stored rounded, null for both clears them
+    // (a single null is rejected by toCoarsePoint)
+    let clearGeo = false;
+    if (updates.latitude !== undefined || updates.longitude !== undefined) {
+      if (updates.latitude === null && updates.longitude === null) {
+        clearGeo = true;
+      } else {
+        const point = toCoarsePoint(updates.latitude, updates.longitude);
+        if (!point) return res.status(400).json({ message: "Invalid latitude/longitude" });
+        sanitized.geo = point;
+      }
+    }
+
     // Visibility admin workflow
     if (Object.prototype.hasOwnProperty.call(sanitized, "visible")) {
       if (sanitized.visible === true) {
@@ -100,9 +108,10 @@ export const updateProfile = async (req, res) => {
     }
 
     if (isDbConnected() && mongoose.connection.readyState === 1) {
+      const update = clearGeo ? { ...sanitized, $unset: { geo: 1 } } : sanitized;
       const user = await User.findByIdAndUpdate(
         req.user._id,
-        sanitized,
+        update,
         { new: true, runValidators: true }
       ).select("-password");
       return res.json(user);
@@ -111,7 +120,10 @@ export const updateProfile = async (req, res) => {
     // DevStore fallback
     let u = devStore.users.find(x => x._id === req.user._id);
     if (!u) { u = { ...req.user }; devStore.users.push(u); }
-    Object.assign(u, sanitized);
+    const { "privacy.messageRequests": messageRequestSetting, ...fields } = sanitized;
+    Object.assign(u, fields);
+    if (messageRequestSetting) u.privacy = { ...u.privacy, messageRequests: messageRequestSetting };
+    if (clearGeo) delete u.geo;
     res.json(u);
 
   } catch (err) {
@@ -177,141 +189,57 @@ export const getMatches = async (req, res) => {
 };
 
 // GET /api/profile/messages-users
+// Kept for older clients: the direct-chat partners from the inbox as a plain user list. Use /api/messages/inbox.
 export const getMessagesUsers = async (req, res) => {
   try {
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10), 1), 100);
-    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-    const skip = (page - 1) * limit;
-
-    const usersList = !isDbConnected() || mongoose.connection.readyState !== 1
-      ? devStore.users.filter(u => u._id !== req.user._id)
-      : await User.find({ _id: { $ne: req.user._id } }).sort({ updatedAt: -1 }).skip(skip).limit(limit).select("-password");
-
-    const usersWithOnline = usersList.map(u => {
-      const lastSeen = _exported_messageStore.presence[String(u._id)];
-      return { ...u.toObject?.() || u, isOnline: Boolean(lastSeen && (Date.now() - lastSeen) <= 60_000) };
-    });
-
-    res.json(usersWithOnline);
+    // Page numbers are gone; fail loudly instead of returning page 1 forever
+    if (req.query.page !== undefined && req.query.page !== "1") {
+      return res.status(400).json({ message: "page is no longer supported; use GET /api/messages/inbox with before" });
+    }
+    const { conversations } = await loadInbox(req, { limit: parsePageSize(req.query.limit) });
+    res.json(conversations.filter(c => c.type === "direct").map(c => c.user));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 };
 
-// Profile picture upload
+// Profile picture upload (Cloudinary, or local uploads/ as a fallback)
 export const uploadProfilePicture = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: "No file uploaded" });
     }
 
-    // Check Cloudinary configuration
-    if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-      console.warn('⚠️ Cloudinary not configured, using local storage fallback');
-      return uploadProfilePictureLocal(req, res);
-    }
-
-    // Convert buffer to base64 for Cloudinary upload
-    const base64 = req.file.buffer.toString('base64');
-    const dataURI = `data:${req.file.mimetype};base64,${base64}`;
-
-    // Upload to Cloudinary
-    const result = await cloudinary.uploader.upload(dataURI, {
-      folder: `vauju-dating-app/profile-pictures`,
-      public_id: `${req.user._id}_${Date.now()}`,
-      resource_type: 'auto',
-      quality: 'auto',
-      fetch_format: 'auto',
+    const stored = await storeFile(req.file.buffer, {
+      folder: "profile-pictures",
+      name: `${req.user._id}_${Date.now()}`,
+      mimeType: req.file.mimetype,
+      extension: path.extname(req.file.originalname),
     });
 
-    const imageUrl = result.secure_url;
-    const publicId = result.public_id;
+    const imageUrl = stored.url;
+    const publicId = stored.publicId; // Cloudinary only, stored for deletion later
+    const message = stored.storage === "cloudinary"
+      ? "Profile picture updated successfully!"
+      : "Profile picture updated successfully (local storage)!";
+    const update = { profileImage: imageUrl, ...(publicId ? { profilePicPublicId: publicId } : {}) };
 
-    // Update user profile with Cloudinary URL
+    // Update user profile with the new URL
     if (isDbConnected() && mongoose.connection.readyState === 1) {
       const user = await User.findByIdAndUpdate(
         req.user._id,
-        {
-          profileImage: imageUrl,
-          profilePicPublicId: publicId, // Store for deletion later
-        },
+        update,
         { new: true, runValidators: true }
       ).select("-password");
-      
-      return res.json({
-        success: true,
-        url: imageUrl,
-        publicId: publicId,
-        message: "Profile picture updated successfully!",
-        user,
-      });
-    }
-
-    // Dev fallback
-    req.user.profileImage = imageUrl;
-    req.user.profilePicPublicId = publicId;
-    res.json({
-      success: true,
-      url: imageUrl,
-      publicId: publicId,
-      message: "Profile picture updated successfully!",
-      user: req.user,
-    });
-
-  } catch (err) {
-    console.error('Cloudinary upload error:', err);
-    // Fallback to local storage if Cloudinary fails
-    return uploadProfilePictureLocal(req, res);
-  }
-};
 
-// Local storage fallback function
-const uploadProfilePictureLocal = async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ message: "No file uploaded" });
-    }
-
-    const uploadDir = path.resolve('uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-
-    const fileExtension = path.extname(req.file.originalname);
-    const fileName = `${req.user._id}_${Date.now()}${fileExtension}`;
-    const filePath = path.join(uploadDir, fileName);
-
-    // Save file to disk
-    fs.writeFileSync(filePath, req.file.buffer);
-
-    const imageUrl = `/uploads/${fileName}`;
-
-    // Update user profile with local URL
-    if (isDbConnected() && mongoose.connection.readyState === 1) {
-      const user = await User.findByIdAndUpdate(
-        req.user._id,
-        { profileImage: imageUrl },
-        { new: true, runValidators: true }
-      ).select("-password");
-      
-      return res.json({
-        success: true,
-        url: imageUrl,
-        message: "Profile picture updated successfully (local storage)!",
-        user,
-      });
+      return res.json({ success: true, url: imageUrl, ...(publicId ? { publicId } : {}), message, user });
     }
 
     // Dev fallback
-    req.user.profileImage = imageUrl;
-    res.json({
-      success: true,
-      url: imageUrl,
-      message: "Profile picture updated successfully (local storage)!",
-      user: req.user,
-    });
+    Object.assign(req.user, update);
+    res.json({ success: true, url: imageUrl, ...(publicId ? { publicId } : {}), message, user: req.user });
   } catch (err) {
-    console.error('Local upload error:', err);
+    console.error('Profile picture upload error:', err);
     res.status(500).json({
       success: false,
       message: err.message || 'Failed to upload image',
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import Report, { REPORT_TARGET_TYPES, REPORT_REASONS } from "../models/Report.js";
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Message from "../models/Message.js";
+import { findGroupForMember } from "../utils/conversations.js";
+
+const MAX_EVIDENCE_ITEMS = 5;
+
+// Resolve who is being reported; returns null when the target doesn't exist or can't be reported by this user
+const resolveReportedUser = async (targetType, targetId, reporterId) => {
+  switch (targetType) {
+    case "user": {
+      const user = await User.exists({ _id: targetId });
+      return user ? user._id : null;
+    }
+    case "post": {
+      const post = await Post.findById(targetId).select("user");
+      return post?.user || null;
+    }
+    case "comment": {
+      const comment = await Comment.findById(targetId).select("user");
+      return comment?.user || null;
+    }
+    case "message": {
+      // Only a participant can report a message, and only one they received: a direct message
+      // sent to them, or someone else's message in a group they had joined by then
+      const message = await Message.findById(targetId).select("from to conversation createdAt");
+      if (!message) return null;
+      if (!message.conversation) return String(message.to) === String(reporterId) ? message.from : null;
+
+      if (String(message.from) === String(reporterId)) return null;
+      const group = await findGroupForMember(message.conversation, reporterId);
+      const member = group?.members.find((m) => String(m.user) === String(reporterId));
+      return member && message.createdAt >= member.joinedAt ? message.from : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// ------------------- CREATE REPORT -------------------
+export const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    let { evidence } = req.body;
+
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ message: `targetType must be one of: ${REPORT_TARGET_TYPES.join(", ")}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: "Invalid targetId" });
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `reason must be one of: ${REPORT_REASONS.join(", ")}` });
+    }
+
+    if (evidence === undefined) evidence = [];
+    if (!Array.isArray(evidence)) evidence = [evidence];
+    evidence = evidence.map((e) => String(e).trim()).filter(Boolean);
+    if (evidence.length > MAX_EVIDENCE_ITEMS) {
+      return res.status(400).json({ message: `At most ${MAX_EVIDENCE_ITEMS} evidence items are allowed` });
+    }
+
+    const reportedUser = await resolveReportedUser(targetType, targetId, req.user._id);
+    if (!reportedUser) return res.status(404).json({ message: "Reported item not found" });
+    if (String(reportedUser) === String(req.user._id)) {
+      return res.status(400).json({ message: "You cannot report yourself" });
+    }
+
+    // One open report per reporter and target
+    const existing = await Report.findOne({
+      reporter: req.user._id,
+      targetType,
+      targetId,
+      status: "open",
+    });
+    if (existing) return res.status(409).json({ message: "You have already reported this", report: existing });
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      targetType,
+      targetId,
+      reportedUser,
+      reason,
+      details: typeof details === "string" ? details : "",
+      evidence,
+      history: [{ status: "open", note: "Report submitted", by: `user:${req.user._id}` }],
+    });
+
+    res.status(201).json({ message: "Report submitted", report });
+  } catch (err) {
+    console.error("Create report error:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { isSuspensionActive, suspensionError, liftExpiredSuspension } from "../utils/suspension.js";
+import { isSessionActive } from "../utils/session.js";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -21,39 +23,117 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
-export const auth = async (req, res, next) => {
-  // Try to get token from Authorization header (standard Bearer token format)
-  let token = null;
-  
-  // Check Authorization header first (standard format)
-  if (req.headers.authorization && req.headers.authorization.startsWith("Bearer ")) {
-    token = req.headers.authorization.split(" ")[1];
+const ACTIVITY_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Regular access tokens carry no `scope` claim; everything else (appeal, 2FA challenge,
+// email links) is only accepted where explicitly allowed
+export const SESSION_SCOPE = "session";
+
+/**
+ * Read the bearer token from a request. `x-user-id` is still accepted for older
+ * frontend builds, but it must hold a signed token, never a raw user id.
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const getRequestToken = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer ")) return header.split(" ")[1];
+  return req.headers["x-user-id"] || null;
+};
+
+/**
+ * Verify a token and load its user. Shared by the HTTP middleware and the Socket.IO handshake.
+ * @param {string} token - Signed JWT
+ * @param {Object} [options]
+ * @param {Array<string>} [options.scopes] - Token scopes accepted (default: session tokens only)
+ * @param {boolean} [options.allowSuspended] - Let suspended users through (appeals)
+ * @returns {Promise<{user?: Object, sessionId?: string, scope?: string, error?: {status: number, body: Object}}>}
+ */
+export const authenticateToken = async (token, { scopes = [SESSION_SCOPE], allowSuspended = false } = {}) => {
+  if (!token) return { error: { status: 401, body: { message: "Unauthorized: No token provided" } } };
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { error: { status: 401, body: { message: "Unauthorized: Invalid token" } } };
   }
-  // Fallback to x-user-id header for backwards compatibility with frontend
-  else if (req.headers["x-user-id"]) {
-    token = req.headers["x-user-id"];
+
+  // Handle both _id and id fields for backwards compatibility
+  const userId = decoded._id || decoded.id;
+  const scope = decoded.scope || SESSION_SCOPE;
+  if (!userId || !scopes.includes(scope)) {
+    return { error: { status: 401, body: { message: "Unauthorized: Invalid token" } } };
   }
 
-  if (!token) {
-    return res.status(401).json({ message: "Unauthorized: No token provided" });
+  // Access tokens belong to a device session; signed-out sessions stop working immediately
+  if (scope === SESSION_SCOPE && !(await isSessionActive(decoded.sid))) {
+    return { error: { status: 401, body: { message: "Unauthorized: Session expired or revoked" } } };
   }
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Handle both _id and id fields for backwards compatibility
-    const userId = decoded._id || decoded.id;
-    if (!userId) {
-      return res.status(401).json({ message: "Unauthorized: No user ID in token" });
+  const user = await User.findById(userId).select("-password");
+  if (!user) return { error: { status: 401, body: { message: "Unauthorized: User not found" } } };
+
+  if (user.suspended) {
+    if (isSuspensionActive(user)) {
+      if (!allowSuspended) return { error: { status: 403, body: suspensionError(user) } };
+    } else {
+      await liftExpiredSuspension(user._id);
+      user.suspended = false;
+      user.suspension = undefined;
+    }
+  }
+
+  return { user, sessionId: decoded.sid, scope };
+};
+
+/**
+ * Build an authentication middleware
+ * @param {Object} [options]
+ * @param {boolean} [options.optional] - Let anonymous and invalid requests through without req.user
+ * @param {Array<string>} [options.scopes] - Token scopes accepted (default: session tokens only)
+ * @param {boolean} [options.allowSuspended] - Let suspended users through
+ * @returns {Function} Express middleware setting req.user, req.sessionId and req.tokenScope
+ */
+export const authenticate = (options = {}) => {
+  const { optional = false, ...tokenOptions } = options;
+
+  return async (req, res, next) => {
+    try {
+      const token = getRequestToken(req);
+      if (!token && optional) return next();
+
+      const { user, sessionId, scope, error } = await authenticateToken(token, tokenOptions);
+      if (error) {
+        // Public routes treat bad or expired tokens as anonymous
+        if (optional) return next();
+        return res.status(error.status).json(error.body);
+      }
+
+      // Record activity at most every few minutes to keep writes cheap
+      if (scope === SESSION_SCOPE && (!user.lastActiveAt || Date.now() - user.lastActiveAt.getTime() > ACTIVITY_UPDATE_INTERVAL_MS)) {
+        User.updateOne({ _id: user._id }, { lastActiveAt: new Date() }).catch((err) =>
+          console.error("Failed to update lastActiveAt:", err.message)
+        );
+      }
+
+      req.user = user; // attach user to request
+      req.sessionId = sessionId;
+      req.tokenScope = scope;
+      next();
+    } catch (err) {
+      console.error("Auth error:", err);
+      if (optional) return next();
+      res.status(401).json({ message: "Unauthorized: Invalid token" });
     }
+  };
+};
 
-    const user = await User.findById(userId).select("-password");
-    if (!user) return res.status(401).json({ message: "Unauthorized: User not found" });
+// Signed-in, non-suspended user with a live session
+export const auth = authenticate();
 
-    req.user = user; // attach user to request
-    next();
-  } catch (err) {
-    console.error("JWT error:", err);
-    res.status(401).json({ message: "Unauthorized: Invalid token" });
-  }
-};
\ No newline at end of file
+// Public routes: req.user is set only for a valid session token
+export const optionalAuth = authenticate({ optional: true });
+
+// Appeals: a session token or the appeal token from a blocked login; suspended users allowed
+export const appealAuth = authenticate({ scopes: [SESSION_SCOPE, "appeal"], allowSuspended: true });
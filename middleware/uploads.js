@@ -0,0 +1,27 @@
+import multer from "multer";
+import sanitizer from "sanitizer";
+import { MAX_ATTACHMENTS_PER_MESSAGE, MAX_ATTACHMENT_BYTES, ATTACHMENT_SIZE_LIMITS } from "../utils/attachments.js";
+
+const { sanitize } = sanitizer;
+
+// Multer errors (too many / too large files) become 400s instead of reaching the error handler
+const withUploadErrors = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    // Multipart fields are parsed after the global XSS sanitizer has run
+    if (typeof req.body.text === "string") req.body.text = sanitize(req.body.text);
+    next();
+  });
+};
+
+// Message attachments: types and per-kind sizes are checked from the file contents in the controller
+export const receiveAttachments = withUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS_PER_MESSAGE },
+}).array("attachments", MAX_ATTACHMENTS_PER_MESSAGE));
+
+// Single image in `avatar`; the type is checked from the file contents in the controller
+export const receiveAvatar = withUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_SIZE_LIMITS.image, files: 1 },
+}).single("avatar"));
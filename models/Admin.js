@@ -1,10 +1,24 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import twoFactorSchema from "./TwoFactor.js";
+
+export const ADMIN_ROLES = ["superadmin", "moderator", "support"];
+
+// Permissions granted to each role; "*" grants everything
+export const ROLE_PERMISSIONS = {
+  superadmin: ["*"],
+  moderator: ["users:read", "users:moderate", "reports:read", "reports:decide", "appeals:read", "appeals:decide", "audit:read"],
+  support: ["users:read", "reports:read", "appeals:read"],
+};
 
 const adminSchema = new mongoose.Schema(
   {
     username: { type: String, required: true, unique: true, trim: true },
     password: { type: String, required: true },
+    role: { type: String, enum: ADMIN_ROLES, default: "support" },
+    active: { type: Boolean, default: true },
+    lastLoginAt: { type: Date },
+    twoFactor: { type: twoFactorSchema, default: () => ({}) },
   },
   { timestamps: true }
 );
@@ -22,5 +36,20 @@ adminSchema.methods.comparePassword = async function (password) {
   return bcrypt.compare(password, this.password);
 };
 
+// Check whether this admin's role grants a permission
+adminSchema.methods.can = function (permission) {
+  const granted = ROLE_PERMISSIONS[this.role] || [];
+  return granted.includes("*") || granted.includes(permission);
+};
+
+// Never expose the password hash
+adminSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.password;
+  obj.twoFactorEnabled = Boolean(obj.twoFactor?.enabled);
+  delete obj.twoFactor;
+  return obj;
+};
+
 const Admin = mongoose.model("Admin", adminSchema);
 export default Admin;
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "user.approve_visibility",
+  "user.verify",
+  "user.unverify",
+  "user.suspend",
+  "user.unsuspend",
+  "user.delete",
+  "report.resolve",
+  "report.dismiss",
+  "appeal.approve",
+  "appeal.reject",
+];
+
+export const AUDIT_TARGET_TYPES = ["user", "report", "appeal"];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    // Kept alongside the reference so the trail still reads after an admin is removed
+    adminUsername: { type: String, required: true },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    targetType: { type: String, enum: AUDIT_TARGET_TYPES, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    changes: { type: [changeSchema], default: [] },
+    reason: { type: String, trim: true, maxlength: 1000, default: "" },
+    ip: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ admin: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: entries can be created but never changed or removed through the model
+const rejectMutation = function (next) {
+  next(new Error("Admin audit log entries are append-only"));
+};
+
+adminAuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "findOneAndRemove",
+].forEach((op) => adminAuditLogSchema.pre(op, rejectMutation));
+
+const AdminAuditLog = mongoose.model("AdminAuditLog", adminAuditLogSchema);
+
+export default AdminAuditLog;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const APPEAL_STATUSES = ["pending", "approved", "rejected"];
+
+const appealSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The suspension being appealed, as it was when the appeal was filed
+    suspension: {
+      reason: String,
+      startedAt: Date,
+      expiresAt: Date,
+      suspendedBy: String,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    status: {
+      type: String,
+      enum: APPEAL_STATUSES,
+      default: "pending",
+    },
+    decision: {
+      note: { type: String, trim: true },
+      decidedBy: String,
+      decidedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+appealSchema.index({ status: 1, createdAt: 1 });
+appealSchema.index({ user: 1, createdAt: -1 });
+
+const Appeal = mongoose.model("Appeal", appealSchema);
+
+export default Appeal;
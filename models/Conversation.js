@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+export const GROUP_ROLES = ["owner", "admin", "member"];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: { type: String, enum: GROUP_ROLES, default: "member" },
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Members only see messages sent after they joined
+  joinedAt: { type: Date, default: Date.now },
+  // Read state: everything up to lastReadAt has been read
+  lastReadAt: { type: Date, default: Date.now },
+  lastReadMessage: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+}, { _id: false });
+
+// Inbox entry for a pair of users ("direct") or a group chat ("group"), updated whenever
+// someone sends or reads a message. The messages themselves stay in the Message collection.
+const conversationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["direct", "group"],
+      default: "direct",
+    },
+    // Sorted "<userId>:<userId>" so each pair has exactly one conversation (direct only)
+    key: {
+      type: String,
+      required: function () { return this.type === "direct"; },
+      unique: true,
+      sparse: true,
+    },
+    // Direct: the two users. Group: the current members' IDs, kept in sync with `members`
+    participants: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    // Direct only: set when the first message came from someone who isn't a friend or match.
+    // Pending and declined requests stay out of the recipient's inbox (see utils/messageRequests.js).
+    request: {
+      status: { type: String, enum: ["pending", "accepted", "declined"] },
+      from: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      to: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      createdAt: Date,
+      respondedAt: Date,
+    },
+    // Group only
+    name: { type: String, trim: true, maxlength: 100 },
+    avatar: {
+      url: String,
+      storage: { type: String, enum: ["cloudinary", "local"] },
+      publicId: String,
+      resourceType: String,
+      path: String,
+    },
+    members: [memberSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Copy of the latest message; content stays encrypted like in Message.
+    // E2EE messages have no preview here, their envelopes are only on the Message.
+    lastMessage: {
+      _id: mongoose.Schema.Types.ObjectId,
+      from: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      encryption: String,
+      encryptedContent: String,
+      // e.g. ["image"], so the inbox can show "Photo" without loading the message
+      attachmentKinds: [String],
+      isUnsent: { type: Boolean, default: false },
+      createdAt: Date,
+    },
+    lastMessageAt: { type: Date, default: Date.now },
+    // Unseen incoming messages per participant, keyed by user ID
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  // Membership changes load, check and save the document; concurrent ones fail instead of overwriting
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+// Inbox: a user's conversations, most recent activity first
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+// Requests folder
+conversationSchema.index(
+  { "request.to": 1, "request.status": 1, lastMessageAt: -1 },
+  { partialFilterExpression: { "request.status": { $exists: true } } }
+);
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+export default Conversation;
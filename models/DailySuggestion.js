@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// One suggestion per user per calendar day (in the user's timezone),
+// kept as history so suggestions don't repeat and outcomes can be analysed.
+const dailySuggestionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    suggestedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Local calendar day, YYYY-MM-DD
+    day: {
+      type: String,
+      required: true,
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    // Compatibility score at the time of suggesting, kept for tuning
+    score: Number,
+    breakdown: mongoose.Schema.Types.Mixed,
+    outcome: {
+      type: String,
+      enum: ["pending", "skipped", "connected"],
+      default: "pending",
+    },
+    outcomeAt: Date,
+    notifiedAt: Date,
+  },
+  { timestamps: true }
+);
+
+dailySuggestionSchema.index({ user: 1, day: 1 }, { unique: true });
+dailySuggestionSchema.index({ user: 1, createdAt: -1 });
+dailySuggestionSchema.index({ outcome: 1, createdAt: -1 });
+
+const DailySuggestion = mongoose.model("DailySuggestion", dailySuggestionSchema);
+
+export default DailySuggestion;
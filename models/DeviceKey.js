@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Public keys a client device publishes so others can start encrypted sessions with it.
+// Private keys never leave the device; see SECURITY.md for the formats.
+const preKeySchema = new mongoose.Schema(
+  {
+    keyId: { type: Number, required: true },
+    publicKey: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const deviceKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Chosen by the client, unique per user
+    deviceId: { type: String, required: true },
+    identityKey: { type: String, required: true },
+    signedPreKey: {
+      keyId: { type: Number, required: true },
+      publicKey: { type: String, required: true },
+      // Made with the identity key; clients verify it, the server only checks its shape
+      signature: { type: String, required: true },
+    },
+    // Handed out one at a time and removed when claimed
+    oneTimePreKeys: [preKeySchema],
+    lastSeenAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+deviceKeySchema.index({ user: 1, deviceId: 1 }, { unique: true });
+
+const DeviceKey = mongoose.model("DeviceKey", deviceKeySchema);
+
+export default DeviceKey;
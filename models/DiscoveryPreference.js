@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+export const DISCOVERY_GENDERS = ["male", "female", "other"];
+
+// Per-user filters applied to GET /api/matches and suggestions.
+// Unset / empty fields mean "no restriction".
+const discoveryPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    minAge: { type: Number, min: 18, max: 120 },
+    maxAge: { type: Number, min: 18, max: 120 },
+    // Genders the user wants to see
+    genders: {
+      type: [{ type: String, enum: DISCOVERY_GENDERS }],
+      default: [],
+    },
+    // Candidates must share at least one of these interests
+    interests: {
+      type: [String],
+      default: [],
+    },
+    maxDistanceKm: { type: Number, min: 1, max: 500 },
+    verifiedOnly: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+const DiscoveryPreference = mongoose.model("DiscoveryPreference", discoveryPreferenceSchema);
+
+export default DiscoveryPreference;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Failed-login counter for one key: an account ("user:<email>", "admin:<username>") or an IP ("ip:<address>")
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    windowStartedAt: { type: Date, default: Date.now },
+    lastFailureAt: Date,
+    // Earliest time the next attempt is accepted (progressive delay)
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    // Lockouts in a row; each one lasts twice as long as the previous
+    lockouts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Counters disappear a day after the last failure, which also resets the lockout escalation
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -1,30 +1,105 @@
 import mongoose from "mongoose";
 
+const envelopeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  deviceId: { type: String, required: true },
+  type: { type: String, enum: ["prekey", "message"], required: true },
+  header: { type: String, required: true },
+  ciphertext: { type: String, required: true },
+}, { _id: false });
+
+// Stored privately (Cloudinary "private" assets or uploads/private); clients only get
+// per-user URLs to GET /api/messages/attachments/:messageId/:attachmentId
+const attachmentSchema = new mongoose.Schema({
+  kind: { type: String, enum: ["image", "audio", "file"], required: true },
+  // Detected from the file contents, not taken from the upload
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  name: { type: String, maxlength: 200 },
+  storage: { type: String, enum: ["cloudinary", "local"], required: true },
+  publicId: String,
+  resourceType: String,
+  format: String,
+  path: String,
+});
+
+const reactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  emoji: { type: String, required: true, maxlength: 32 },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A previous version of an edited message, encrypted the same way the message is
+const editSchema = new mongoose.Schema({
+  encryptedContent: String,
+  encryptionKeyId: String,
+  senderDeviceId: String,
+  envelopes: [envelopeSchema],
+  // When this version was written (the message's createdAt for the original)
+  createdAt: { type: Date, required: true },
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   from: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
     required: true,
   },
+  // Direct messages have a recipient; group messages are addressed to a conversation instead
   to: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    required: function () { return !this.conversation; },
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+  },
+  // "e2ee": content is only in `envelopes`, which the server cannot decrypt.
+  // "server": encrypted at rest with the server key ring (utils/encryption.js).
+  // "legacy": older messages whose one-off key was only given to the sender.
+  encryption: {
+    type: String,
+    enum: ["legacy", "server", "e2ee"],
+    default: "legacy",
   },
   // Store encrypted message content
   encryptedContent: {
     type: String,
-    required: true,
+    required: function () { return this.encryption !== "e2ee" && !this.isUnsent && !this.attachments?.length; },
   },
-  // Store encryption key hash for verification
-  contentKeyHash: {
-    type: String,
-    required: true,
+  // Key ring version of a "server" message, for key rotation
+  encryptionKeyId: String,
+  // Store encryption key hash for verification (legacy messages only)
+  contentKeyHash: String,
+  senderDeviceId: String,
+  // One ciphertext per receiving device (see SECURITY.md)
+  envelopes: [envelopeSchema],
+  attachments: [attachmentSchema],
+  // Message being replied to / quoted (same conversation)
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
   },
+  reactions: [reactionSchema],
+  editedAt: Date,
+  editHistory: [editSchema],
   seen: {
     type: Boolean,
     default: false,
   },
+  // Direct messages: when a recipient socket acknowledged the `messages` batch, and when the
+  // recipient read it (a read message counts as delivered too)
+  deliveredAt: Date,
+  readAt: Date,
   isUnsent: {
     type: Boolean,
     default: false,
@@ -43,6 +118,14 @@ const messageSchema = new mongoose.Schema({
   }
 });
 
+// Conversation history: each direction of a chat, newest first
+messageSchema.index({ from: 1, to: 1, createdAt: -1, _id: -1 });
+// Group history, newest first
+messageSchema.index(
+  { conversation: 1, createdAt: -1, _id: -1 },
+  { partialFilterExpression: { conversation: { $exists: true } } }
+);
+
 // Update the updatedAt field before saving
 messageSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+export const REPORT_TARGET_TYPES = ["user", "post", "comment", "message"];
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "fake_profile",
+  "inappropriate_content",
+  "scam",
+  "underage",
+  "hate_speech",
+  "other",
+];
+
+export const REPORT_ACTIONS = ["none", "suspend", "delete_user"];
+
+// Every status change on a report, so moderation decisions can be traced
+const decisionSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["open", "resolved", "dismissed"], required: true },
+    action: { type: String, enum: REPORT_ACTIONS },
+    note: { type: String, trim: true, maxlength: 1000 },
+    by: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // The user being reported (the author for posts, comments and messages)
+    reportedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+    // Optional links to screenshots or other supporting material
+    evidence: {
+      type: [{ type: String, trim: true, maxlength: 500 }],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    resolution: {
+      action: { type: String, enum: REPORT_ACTIONS },
+      note: { type: String, trim: true },
+      decidedBy: String,
+      decidedAt: Date,
+    },
+    history: {
+      type: [decisionSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, status: 1, createdAt: -1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+reportSchema.index({ reporter: 1, targetType: 1, targetId: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// One document per signed-in device; refresh tokens are stored hashed
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: { type: String, required: true },
+    // Hash of the token this one replaced; presenting it again means the token was stolen
+    previousTokenHash: String,
+    userAgent: { type: String, maxlength: 500 },
+    ip: String,
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are cleaned up by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.refreshTokenHash;
+  delete obj.previousTokenHash;
+  return obj;
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
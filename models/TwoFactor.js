@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// TOTP settings embedded in User and Admin. Secrets and recovery codes are never selected
+// unless asked for explicitly (`+twoFactor.secret` etc.).
+const twoFactorSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    // Base32 secret shared with the authenticator app
+    secret: { type: String, select: false },
+    // Secret handed out by setup, promoted to `secret` once a code confirms it
+    pendingSecret: { type: String, select: false },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false, default: undefined },
+    // Last accepted time step, so a code can't be replayed within its window
+    lastUsedStep: { type: Number, default: 0 },
+    enabledAt: Date,
+  },
+  { _id: false }
+);
+
+export default twoFactorSchema;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import twoFactorSchema from "./TwoFactor.js";
 
 // List of emails for automatic blue tick and posting permissions
 const PROFESSIONAL_EMAILS = [
@@ -43,6 +44,9 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, "Password is required"],
     },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    twoFactor: { type: twoFactorSchema, default: () => ({}) },
     bio: {
       type: String,
       default: "",
@@ -66,6 +70,17 @@ const userSchema = new mongoose.Schema(
       default: "",
       trim: true,
     },
+    // IANA timezone, used to decide the user's calendar day for daily suggestions
+    timezone: {
+      type: String,
+      default: "UTC",
+      trim: true,
+    },
+    // Privacy-rounded GeoJSON point used for nearby discovery; never returned to clients
+    geo: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
     profileImage: {
       type: String,
       default: "", // can replace with default avatar URL
@@ -80,6 +95,24 @@ const userSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User"
     }],
+    // Users this user has blocked
+    blockedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }],
+
+    // Privacy settings
+    privacy: {
+      // Who can message the user directly (see utils/messageRequests.js)
+      messageRequests: {
+        type: String,
+        enum: ["everyone", "requests", "connections"],
+        default: "requests",
+      },
+    },
+
+    // Last authenticated request (throttled), used for recommendation recency
+    lastActiveAt: { type: Date },
 
     // User controls
     visible: { type: Boolean, default: false },
@@ -87,6 +120,13 @@ const userSchema = new mongoose.Schema(
     visibilityApproved: { type: Boolean, default: false },
     isVerified: { type: Boolean, default: false },
     suspended: { type: Boolean, default: false },
+    // Details of the current suspension; cleared when it is lifted
+    suspension: {
+      reason: { type: String, trim: true, maxlength: 1000 },
+      startedAt: Date,
+      expiresAt: Date, // unset for indefinite suspensions
+      suspendedBy: String,
+    },
     isAdmin: { type: Boolean, default: false },
 
     // Blue tick for VIP users
@@ -114,9 +154,17 @@ const userSchema = new mongoose.Schema(
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.geo;
+  delete obj.blockedUsers;
+  obj.twoFactorEnabled = Boolean(obj.twoFactor?.enabled);
+  delete obj.twoFactor;
   return obj;
 };
 
+userSchema.index({ geo: "2dsphere" });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ suspended: 1, "suspension.expiresAt": 1 });
+
 // Pre-save hook to prevent inserting users without required fields
 userSchema.pre("save", function (next) {
   if (!this.name || !this.username || !this.password) {
@@ -1,25 +1,56 @@
 import express from "express";
 import {
   adminLogin,
+  adminLoginTwoFactor,
+  setupAdminTwoFactor,
+  verifyAdminTwoFactor,
+  disableAdminTwoFactor,
   requireAdmin,
+  requirePermission,
+  getAdminMe,
   listUsers,
   approveVisibility,
   setVerify,
   setSuspend,
   deleteUser,
+  listReports,
+  resolveReport,
+  dismissReport,
+  listAppeals,
+  approveAppeal,
+  rejectAppeal,
+  listAuditLog,
 } from "../controllers/adminController.js";
 
 const router = express.Router();
 
 // PUBLIC LOGIN
 router.post("/login", adminLogin);
+router.post("/login/2fa", adminLoginTwoFactor); // { challengeToken, code }
 
 // PROTECTED ROUTES
-router.get("/users", requireAdmin, listUsers);
-router.get("/pending-visibility", requireAdmin, listUsers); // ?pendingVisibility=true
-router.post("/approve-visibility/:userId", requireAdmin, approveVisibility);
-router.post("/verify/:userId", requireAdmin, setVerify);
-router.post("/suspend/:userId", requireAdmin, setSuspend);
-router.delete("/users/:userId", requireAdmin, deleteUser);
+router.get("/me", requireAdmin, getAdminMe);
+router.post("/2fa/setup", requireAdmin, setupAdminTwoFactor);
+router.post("/2fa/verify", requireAdmin, verifyAdminTwoFactor); // { code }
+router.post("/2fa/disable", requireAdmin, disableAdminTwoFactor); // { password, code }
+router.get("/users", requireAdmin, requirePermission("users:read"), listUsers);
+router.get("/pending-visibility", requireAdmin, requirePermission("users:read"), listUsers); // ?pendingVisibility=true
+router.post("/approve-visibility/:userId", requireAdmin, requirePermission("users:moderate"), approveVisibility);
+router.post("/verify/:userId", requireAdmin, requirePermission("users:moderate"), setVerify);
+router.post("/suspend/:userId", requireAdmin, requirePermission("users:moderate"), setSuspend); // { suspended, reason, expiresAt | durationHours }
+router.delete("/users/:userId", requireAdmin, requirePermission("users:delete"), deleteUser);
+
+// MODERATION QUEUE
+router.get("/reports", requireAdmin, requirePermission("reports:read"), listReports); // ?status=&targetType=&reason=&reportedUser=&page=&limit=
+router.post("/reports/:reportId/resolve", requireAdmin, requirePermission("reports:decide"), resolveReport); // { action: none|suspend|delete_user, note, expiresAt | durationHours }
+router.post("/reports/:reportId/dismiss", requireAdmin, requirePermission("reports:decide"), dismissReport); // { note }
+
+// SUSPENSION APPEALS
+router.get("/appeals", requireAdmin, requirePermission("appeals:read"), listAppeals); // ?status=pending|approved|rejected&page=&limit=
+router.post("/appeals/:appealId/approve", requireAdmin, requirePermission("appeals:decide"), approveAppeal); // { note } - lifts the suspension
+router.post("/appeals/:appealId/reject", requireAdmin, requirePermission("appeals:decide"), rejectAppeal); // { note }
+
+// AUDIT LOG
+router.get("/audit", requireAdmin, requirePermission("audit:read"), listAuditLog); // ?admin=&action=&targetType=&targetId=&from=&to=&q=&page=&limit=&format=csv
 
 export default router;
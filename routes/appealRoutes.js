@@ -0,0 +1,11 @@
+import express from "express";
+import { createAppeal, listMyAppeals } from "../controllers/appealController.js";
+import { appealAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Suspended users authenticate with the appeal token returned by a blocked login
+router.post("/", appealAuth, createAppeal); // { message }
+router.get("/me", appealAuth, listMyAppeals);
+
+export default router;
@@ -1,11 +1,40 @@
 import express from "express";
-import { registerUser, loginUser, getMe, getUserProfile } from "../controllers/authController.js";
+import {
+  registerUser,
+  loginUser,
+  getMe,
+  getUserProfile,
+  refreshSession,
+  logoutUser,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactorForUser,
+} from "../controllers/authController.js";
 import { auth } from "../middleware/auth.js";
 
 const router = express.Router();
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
+router.post("/login/2fa", loginTwoFactor); // { challengeToken, code }
+router.post("/refresh", refreshSession); // { refreshToken }
+router.post("/logout", auth, logoutUser);
+router.get("/sessions", auth, getSessions);
+router.delete("/sessions/:id", auth, deleteSession);
+router.post("/verify-email", verifyEmail); // { token }
+router.post("/resend-verification", auth, resendVerification);
+router.post("/forgot-password", forgotPassword); // { email }
+router.post("/reset-password", resetPassword); // { token, password }
+router.post("/2fa/setup", auth, setupTwoFactor);
+router.post("/2fa/verify", auth, verifyTwoFactorSetup); // { code }
+router.post("/2fa/disable", auth, disableTwoFactorForUser); // { password, code }
 router.get("/me", auth, getMe);
 router.get("/user", auth, getUserProfile);
 router.get("/user/me", auth, getUserProfile);
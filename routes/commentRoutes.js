@@ -1,21 +1,33 @@
 import express from 'express';
-import { auth as requireAuth } from '../middleware/auth.js';
+import { auth as requireAuth, optionalAuth } from '../middleware/auth.js';
+import { getBlockedIds } from '../utils/blocks.js';
 import Comment from '../models/Comment.js';
 import Post from '../models/Post.js';
 
 const router = express.Router();
 
 // Get all comments for a post
-router.get('/post/:postId', async (req, res) => {
+router.get('/post/:postId', optionalAuth, async (req, res) => {
   try {
     const { postId } = req.params;
+
+    // Hide comments and replies from users on either side of a block
+    const blockedIds = req.user ? await getBlockedIds(req.user._id) : [];
+    const filter = { post: postId };
+    if (blockedIds.length) filter.user = { $nin: blockedIds };
     
-    const comments = await Comment.find({ post: postId })
+    const comments = await Comment.find(filter)
       .populate('user', 'name username profilePic gender verified')
       .populate('replies.user', 'name username profilePic gender verified')
       .populate('likes.user', 'name username profilePic gender')
       .sort({ createdAt: -1 });
 
+    if (blockedIds.length) {
+      comments.forEach(comment => {
+        comment.replies = comment.replies.filter(reply => !reply.user || !blockedIds.includes(String(reply.user._id)));
+      });
+    }
+
     res.json({
       comments,
       total: comments.length
@@ -0,0 +1,32 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { receiveAttachments, receiveAvatar } from "../middleware/uploads.js";
+import {
+  createGroup,
+  getGroup,
+  updateGroup,
+  uploadGroupAvatar,
+  addMembers,
+  removeMember,
+  updateMemberRole,
+  leaveGroup,
+} from "../controllers/conversationController.js";
+import { sendGroupMessage, getGroupMessages, markGroupRead } from "../controllers/messageController.js";
+
+const router = express.Router();
+
+// Group conversations (direct chats stay under /api/messages)
+router.post("/", auth, createGroup); // { name, userIds }
+router.get("/:conversationId", auth, getGroup);
+router.patch("/:conversationId", auth, updateGroup); // { name }
+router.put("/:conversationId/avatar", auth, receiveAvatar, uploadGroupAvatar);
+router.post("/:conversationId/members", auth, addMembers); // { userIds }
+router.patch("/:conversationId/members/:userId", auth, updateMemberRole); // { role }
+router.delete("/:conversationId/members/:userId", auth, removeMember);
+router.post("/:conversationId/leave", auth, leaveGroup);
+
+router.get("/:conversationId/messages", auth, getGroupMessages);
+router.post("/:conversationId/messages", auth, receiveAttachments, sendGroupMessage);
+router.put("/:conversationId/read", auth, markGroupRead); // { messageId? }
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { auth } from "../middleware/auth.js";
+import { registerDevice, uploadPreKeys, listMyDevices, removeDevice, getKeyBundles } from "../controllers/keyController.js";
+
+const router = express.Router();
+
+// Each bundle fetch claims one-time prekeys, so it is limited per caller (after auth)
+const bundleLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => String(req.user._id),
+  message: { message: "Too many key bundle requests, please try again later." },
+});
+
+// Key directory for end-to-end encrypted messaging (formats in SECURITY.md)
+router.get("/devices", auth, listMyDevices);
+router.put("/devices/:deviceId", auth, registerDevice); // { identityKey, signedPreKey, oneTimePreKeys? }
+router.post("/devices/:deviceId/prekeys", auth, uploadPreKeys); // { oneTimePreKeys }
+router.delete("/devices/:deviceId", auth, removeDevice);
+router.get("/users/:userId", auth, bundleLimiter, getKeyBundles);
+
+export default router;
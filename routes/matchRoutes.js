@@ -1,28 +1,34 @@
 // routes/matchRoutes.js
 import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import { auth } from "../middleware/auth.js";
+import {
+  listProfiles,
+  listRecommended,
+  getPreferences,
+  updatePreferences,
+  likeProfile,
+  passProfile,
+  listMutualMatches,
+  isMutualMatch,
+} from "../controllers/matchController.js";
+import { isBlockedBetween } from "../utils/blocks.js";
 
 const router = express.Router();
 
-// GET /api/matches - Get visibility approved profiles
-router.get("/", auth, async (req, res) => {
-  try {
-    const profiles = await User.find({
-      visible: true,
-      visibilityApproved: true,
-      suspended: { $ne: true },
-      isAdmin: { $ne: true }
-    })
-      .select("name username age gender interests profileImage bio createdAt")
-      .sort({ createdAt: -1 });
+// GET /api/matches - Discoverable profiles filtered by the user's preferences (?cursor=&limit=)
+router.get("/", auth, listProfiles);
 
-    res.json(profiles);
-  } catch (err) {
-    console.error("Fetch matches error:", err);
-    res.status(500).json({ message: "Server error", error: err.message });
-  }
-});
+// GET /api/matches/recommended - Profiles ranked by compatibility, with per-factor scores
+router.get("/recommended", auth, listRecommended);
+
+// GET/PUT /api/matches/preferences - Discovery preferences
+router.get("/preferences", auth, getPreferences);
+router.put("/preferences", auth, updatePreferences);
+
+// GET /api/matches/mutual - Profiles the current user has matched with
+router.get("/mutual", auth, listMutualMatches);
 
 // GET /api/matches/:id - Get profile details
 router.get("/:id", auth, async (req, res) => {
@@ -35,7 +41,7 @@ router.get("/:id", auth, async (req, res) => {
       isAdmin: { $ne: true }
     }).select("name username age gender interests profileImage bio createdAt");
 
-    if (!profile) {
+    if (!profile || (await isBlockedBetween(req.user._id, profile._id))) {
       return res.status(404).json({ message: "Profile not found" });
     }
 
@@ -46,13 +52,22 @@ router.get("/:id", auth, async (req, res) => {
   }
 });
 
-// POST /api/matches/notify - Send match notification
+// POST /api/matches/:id/like - Like a profile (mutual likes become a match)
+router.post("/:id/like", auth, likeProfile);
+
+// POST /api/matches/:id/pass - Pass on a profile
+router.post("/:id/pass", auth, passProfile);
+
+// POST /api/matches/notify - Send match notification (only to an actual match)
 router.post("/notify", auth, async (req, res) => {
   try {
     const { recipientId, message } = req.body;
     if (!recipientId) {
       return res.status(400).json({ message: "Missing recipientId" });
     }
+    if (!mongoose.Types.ObjectId.isValid(recipientId) || !(await isMutualMatch(req.user._id, recipientId))) {
+      return res.status(403).json({ message: "You can only notify your matches" });
+    }
 
     // Emit notification via Socket.IO if available
     const io = req.app?.locals?.io;
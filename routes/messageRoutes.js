@@ -1,16 +1,45 @@
 import express from "express";
-import { requireAuth } from "../controllers/profileController.js";
-import { sendMessage, getConversation, markSeen, heartbeat, deleteForMe, unsendMessage } from "../controllers/messageController.js";
+import { auth, optionalAuth } from "../middleware/auth.js";
+import {
+  sendMessage,
+  getInbox,
+  getMessageRequests,
+  acceptMessageRequest,
+  declineMessageRequest,
+  blockMessageRequest,
+  getConversation,
+  getAttachment,
+  markSeen,
+  markReadUpTo,
+  heartbeat,
+  deleteForMe,
+  unsendMessage,
+  editMessage,
+  addReaction,
+  removeReaction,
+} from "../controllers/messageController.js";
 import { onlineUsers } from "../controllers/onlineController.js";
+import { receiveAttachments } from "../middleware/uploads.js";
 
 const router = express.Router();
 
-router.post("/send", requireAuth, sendMessage);
-router.get("/conversation/:userId", requireAuth, getConversation);
-router.put("/seen/:messageId", requireAuth, markSeen);
-router.post("/heartbeat", requireAuth, heartbeat);
-router.get("/online-users", requireAuth, onlineUsers);
-router.delete("/delete-for-me/:messageId", requireAuth, deleteForMe);
-router.post("/unsend/:messageId", requireAuth, unsendMessage);
+router.post("/send", auth, receiveAttachments, sendMessage);
+router.get("/inbox", auth, getInbox);
+router.get("/requests", auth, getMessageRequests);
+router.post("/requests/:userId/accept", auth, acceptMessageRequest);
+router.post("/requests/:userId/decline", auth, declineMessageRequest);
+router.post("/requests/:userId/block", auth, blockMessageRequest);
+router.get("/conversation/:userId", auth, getConversation);
+// Also reachable with the `?token=` URLs in message payloads, for <img>/<audio> tags
+router.get("/attachments/:messageId/:attachmentId", optionalAuth, getAttachment);
+router.put("/seen/:messageId", auth, markSeen);
+router.put("/conversation/:userId/read-up-to/:messageId", auth, markReadUpTo);
+router.post("/heartbeat", auth, heartbeat);
+router.get("/online-users", auth, onlineUsers);
+router.delete("/delete-for-me/:messageId", auth, deleteForMe);
+router.post("/unsend/:messageId", auth, unsendMessage);
+router.post("/:messageId/reactions", auth, addReaction);
+router.delete("/:messageId/reactions", auth, removeReaction);
+router.patch("/:messageId", auth, editMessage);
 
 export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
-import { auth as requireAuth } from '../middleware/auth.js';
+import { auth as requireAuth, optionalAuth } from '../middleware/auth.js';
+import { getBlockedIds } from '../utils/blocks.js';
 import { trackPostView } from '../middleware/viewTracker.js';
 import Post from '../models/Post.js';
 import Comment from '../models/Comment.js';
@@ -8,7 +9,7 @@ import User from '../models/User.js';
 const router = express.Router();
 
 // Get all posts with pagination
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10)); // Cap at 100
@@ -16,18 +17,23 @@ router.get('/', async (req, res) => {
 
     console.log(`Fetching posts - Page: ${page}, Limit: ${limit}, Skip: ${skip}`);
 
-    const posts = await Post.find()
+    // Signed-in users don't see posts or comments from users on either side of a block
+    const blockedIds = req.user ? await getBlockedIds(req.user._id) : [];
+    const filter = blockedIds.length ? { user: { $nin: blockedIds } } : {};
+
+    const posts = await Post.find(filter)
       .populate('user', 'name username profilePic gender verified')
       .populate('likes.user', 'name username profilePic gender')
       .populate({
         path: 'comments',
+        match: blockedIds.length ? { user: { $nin: blockedIds } } : {},
         populate: { path: 'user', select: 'name username profilePic gender verified' }
       })
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Post.countDocuments();
+    const total = await Post.countDocuments(filter);
     
     console.log(`Found ${posts.length} posts out of ${total} total`);
     
@@ -44,19 +50,22 @@ router.get('/', async (req, res) => {
 });
 
 // Get a single post by ID
-router.get('/:id', trackPostView, async (req, res) => {
+router.get('/:id', optionalAuth, trackPostView, async (req, res) => {
   try {
     console.log(`Fetching post with ID: ${req.params.id}`);
     
+    const blockedIds = req.user ? await getBlockedIds(req.user._id) : [];
+
     const post = await Post.findById(req.params.id)
       .populate('user', 'name username profilePic gender verified')
       .populate('likes.user', 'name username profilePic gender')
       .populate({
         path: 'comments',
+        match: blockedIds.length ? { user: { $nin: blockedIds } } : {},
         populate: { path: 'user', select: 'name username profilePic gender verified' }
       });
 
-    if (!post) {
+    if (!post || (post.user && blockedIds.includes(String(post.user._id)))) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
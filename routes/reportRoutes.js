@@ -0,0 +1,10 @@
+import express from "express";
+import { createReport } from "../controllers/reportController.js";
+import { auth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// POST /api/reports - Report a user, post, comment or message
+router.post("/", auth, createReport);
+
+export default router;
@@ -1,6 +1,8 @@
 import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import { auth } from "../middleware/auth.js";
+import { blockUser, invalidateBlockCache, isBlockedBetween } from "../utils/blocks.js";
 
 const router = express.Router();
 
@@ -45,6 +47,61 @@ router.get("/me", auth, async (req, res) => {
   }
 });
 
+// GET /api/users/me/blocked - Users the current user has blocked
+router.get("/me/blocked", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("blockedUsers")
+      .populate("blockedUsers", "name username profileImage");
+    res.json(user?.blockedUsers || []);
+  } catch (error) {
+    console.error("Get blocked users error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/users/:id/block - Block a user
+router.post("/:id/block", auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    if (String(id) === String(currentUserId)) {
+      return res.status(400).json({ message: "You cannot block yourself" });
+    }
+    if (!(await User.exists({ _id: id }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await blockUser(currentUserId, id);
+    res.json({ message: "User blocked" });
+  } catch (error) {
+    console.error("Block user error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /api/users/:id/block - Unblock a user
+router.delete("/:id/block", auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { $pull: { blockedUsers: id } });
+
+    invalidateBlockCache(req.user._id, id);
+    res.json({ message: "User unblocked" });
+  } catch (error) {
+    console.error("Unblock user error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // GET /api/users/:id - Get user by ID
 router.get("/:id", auth, async (req, res) => {
   try {
@@ -60,6 +117,11 @@ router.get("/:id", auth, async (req, res) => {
       return res.status(403).json({ message: "This user is suspended" });
     }
 
+    // Blocked users look like they don't exist
+    if (await isBlockedBetween(req.user._id, user._id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
     res.json(user);
   } catch (error) {
     res.status(500).json({ message: error.message });
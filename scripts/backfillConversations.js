@@ -0,0 +1,74 @@
+// Build inbox conversations from existing messages and bring the conversation indexes
+// up to date (safe to re-run):
+//   node scripts/backfillConversations.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import { directConversationKey } from "../utils/conversations.js";
+
+dotenv.config();
+
+const backfillConversations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Direct-chat keys are unique only among direct conversations (groups have none)
+    await Conversation.syncIndexes();
+
+    // Latest message and unseen count for each direction of each chat
+    const directions = await Message.aggregate([
+      { $match: { conversation: { $exists: false } } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: { from: "$from", to: "$to" },
+          lastMessage: { $first: "$$ROOT" },
+          unseen: { $sum: { $cond: ["$seen", 0, 1] } },
+        },
+      },
+    ]);
+
+    const pairs = new Map();
+    directions.forEach(({ _id, lastMessage, unseen }) => {
+      const key = directConversationKey(_id.from, _id.to);
+      const pair = pairs.get(key) || { participants: [...new Set([String(_id.from), String(_id.to)])], lastMessage, unreadCounts: {} };
+      if (lastMessage.createdAt > pair.lastMessage.createdAt) pair.lastMessage = lastMessage;
+      if (String(_id.from) !== String(_id.to)) pair.unreadCounts[String(_id.to)] = unseen;
+      pairs.set(key, pair);
+    });
+
+    for (const [key, { participants, lastMessage, unreadCounts }] of pairs) {
+      await Conversation.updateOne(
+        { key },
+        {
+          $set: {
+            type: "direct",
+            participants,
+            lastMessage: {
+              _id: lastMessage._id,
+              from: lastMessage.from,
+              encryption: lastMessage.encryption || "legacy",
+              encryptedContent: lastMessage.isUnsent ? "" : lastMessage.encryptedContent,
+              isUnsent: lastMessage.isUnsent,
+              createdAt: lastMessage.createdAt,
+            },
+            lastMessageAt: lastMessage.createdAt,
+            unreadCounts,
+          },
+        },
+        { upsert: true }
+      );
+    }
+
+    console.log(`✅ Backfilled ${pairs.size} conversation(s)`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  }
+};
+
+backfillConversations();
@@ -0,0 +1,32 @@
+// Create an admin account:
+//   node scripts/createAdmin.js <username> <password> [superadmin|moderator|support]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { createAdminAccount } from "../controllers/adminController.js";
+
+dotenv.config();
+
+const createAdmin = async () => {
+  const [username, password, role = "superadmin"] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error("Usage: node scripts/createAdmin.js <username> <password> [superadmin|moderator|support]");
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const admin = await createAdminAccount({ username, password, role });
+    console.log(`✅ Created ${admin.role} "${admin.username}" (${admin._id})`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  }
+};
+
+createAdmin();
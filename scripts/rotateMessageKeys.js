@@ -0,0 +1,139 @@
+// Re-encrypt server-side encrypted messages (and their edit history) with the current key ring key:
+//   node scripts/rotateMessageKeys.js [--dry-run]
+// Rotation: add the new key to the ring and make it current, deploy, run this script,
+// then remove the old key once it reports nothing left to migrate.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import { currentKeyId, payloadKeyId, reencryptText } from "../utils/encryption.js";
+import { encryptionContextOf, groupEncryptionContext, messageEncryptionContext } from "../utils/conversations.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Re-encrypt a cursor's documents in batches; `toUpdate` returns a bulkWrite op or null
+const migrate = async (cursor, model, toUpdate, dryRun) => {
+  const stats = { migrated: 0, failed: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    if (!dryRun && batch.length) await model.bulkWrite(batch, { ordered: false });
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    try {
+      const op = toUpdate(doc);
+      if (!op) continue;
+      batch.push(op);
+      stats.migrated += 1;
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`⚠️ ${model.modelName} ${doc._id}: ${error.message}`);
+    }
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return stats;
+};
+
+const rotateMessageKeys = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    const keyId = currentKeyId();
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`✅ Connected to MongoDB (current key "${keyId}"${dryRun ? ", dry run" : ""})`);
+
+    const messages = await migrate(
+      Message.find({ encryption: "server", encryptionKeyId: { $ne: keyId }, encryptedContent: { $nin: ["", null] } })
+        .select("from to conversation encryptedContent")
+        .lean()
+        .cursor(),
+      Message,
+      (msg) => {
+        const { payload, keyId: newKeyId } = reencryptText(msg.encryptedContent, encryptionContextOf(msg));
+        return {
+          updateOne: {
+            // Skip rows changed since they were read (e.g. unsent meanwhile)
+            filter: { _id: msg._id, encryptedContent: msg.encryptedContent },
+            update: { $set: { encryptedContent: payload, encryptionKeyId: newKeyId } },
+          },
+        };
+      },
+      dryRun
+    );
+    console.log(`✅ Messages: ${messages.migrated} re-encrypted, ${messages.failed} failed`);
+
+    // Earlier versions of edited messages
+    const history = await migrate(
+      Message.find({
+        encryption: "server",
+        editHistory: { $elemMatch: { encryptionKeyId: { $ne: keyId }, encryptedContent: { $nin: ["", null] } } },
+      })
+        .select("from to conversation editedAt editHistory")
+        .lean()
+        .cursor(),
+      Message,
+      (msg) => {
+        const context = encryptionContextOf(msg);
+        const editHistory = msg.editHistory.map((version) => {
+          if (!version.encryptedContent) return version;
+          const { payload, keyId: newKeyId } = reencryptText(version.encryptedContent, context);
+          return { ...version, encryptedContent: payload, encryptionKeyId: newKeyId };
+        });
+        return {
+          updateOne: {
+            // Skip messages edited or unsent since they were read
+            filter: { _id: msg._id, editedAt: msg.editedAt, isUnsent: { $ne: true } },
+            update: { $set: { editHistory } },
+          },
+        };
+      },
+      dryRun
+    );
+    console.log(`✅ Edit history: ${history.migrated} message(s) re-encrypted, ${history.failed} failed`);
+
+    // Inbox previews keep a copy of the latest message
+    const previews = await migrate(
+      Conversation.find({ "lastMessage.encryption": "server", "lastMessage.encryptedContent": { $nin: ["", null] } })
+        .select("type participants lastMessage")
+        .lean()
+        .cursor(),
+      Conversation,
+      (conversation) => {
+        const { encryptedContent } = conversation.lastMessage;
+        if (payloadKeyId(encryptedContent) === keyId) return null;
+
+        const [a, b = a] = conversation.participants;
+        const context = conversation.type === "group" ? groupEncryptionContext(conversation._id) : messageEncryptionContext(a, b);
+        const { payload } = reencryptText(encryptedContent, context);
+        return {
+          updateOne: {
+            filter: { _id: conversation._id, "lastMessage.encryptedContent": encryptedContent },
+            update: { $set: { "lastMessage.encryptedContent": payload } },
+          },
+        };
+      },
+      dryRun
+    );
+    console.log(`✅ Inbox previews: ${previews.migrated} re-encrypted, ${previews.failed} failed`);
+
+    // Legacy rows were encrypted with one-off keys that were never stored, so they can't be migrated
+    const legacy = await Message.countDocuments({
+      $or: [{ encryption: "legacy" }, { encryption: { $exists: false } }],
+      encryptedContent: { $nin: ["", null] },
+    });
+    if (legacy) console.log(`ℹ️ ${legacy} legacy message(s) skipped: the server never held their keys`);
+
+    await mongoose.disconnect();
+    process.exit(messages.failed || history.failed || previews.failed ? 1 : 0);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  }
+};
+
+rotateMessageKeys();
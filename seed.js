@@ -18,36 +18,30 @@ mongoose.connect(process.env.MONGODB_URI, {
     await User.deleteMany({});
     await Match.deleteMany({});
 
-    // Create test user
+    // Create test users
     const hashedPassword = await bcrypt.hash("password123", 10);
-    const user = new User({ 
-      email: "test@example.com", 
-      password: hashedPassword 
-    });
-    await user.save();
-
-    // Seed matches (with email + genuine tracking)
-    await Match.insertMany([
-      { 
-        name: "Match 1", 
-        age: 25, 
-        gender: "Male", 
-        interests: ["Sports"], 
-        email: "match1@example.com", 
-        isGenuine: false,
-        userId: user._id 
+    const [user, other] = await User.insertMany([
+      {
+        name: "Test User",
+        username: "testuser",
+        email: "test@example.com",
+        password: hashedPassword,
+        visible: true,
+        visibilityApproved: true,
       },
-      { 
-        name: "Match 2", 
-        age: 30, 
-        gender: "Female", 
-        interests: ["Travel"], 
-        email: "abhayabikramshahiofficial@gmail.com", // ✅ genuine one
-        isGenuine: true,
-        userId: user._id 
+      {
+        name: "Match User",
+        username: "matchuser",
+        email: "match1@example.com",
+        password: hashedPassword,
+        visible: true,
+        visibilityApproved: true,
       },
     ]);
 
+    // Seed a pending like: liking back from the other account creates a match
+    await Match.create({ userId: other._id, matchedUserId: user._id, status: "pending" });
+
     console.log("✅ Database seeded successfully!");
     mongoose.connection.close();
   })
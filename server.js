@@ -1,11 +1,21 @@
 // server.js
 import express from "express";
+import mongoose from "mongoose";
 import dotenv from "dotenv";
 import cors from "cors";
 import http from "http";
 import { Server as IOServer } from "socket.io";
-import jwt from "jsonwebtoken";
 import connectDB from "./config/db.js";
+import { hasPoint } from "./utils/geo.js";
+import { isBlockedBetween, getBlockedIdSet } from "./utils/blocks.js";
+import { emitPresence, getHandshakeToken, canJoinRoom, allowSocketEvent, conversationRoom } from "./utils/socket.js";
+import { isMutualMatch } from "./controllers/matchController.js";
+import { scheduleSuspensionLifts } from "./utils/suspension.js";
+import { currentKeyId } from "./utils/encryption.js";
+import { auth, authenticateToken } from "./middleware/auth.js";
+import { ensureBootstrapAdmin } from "./controllers/adminController.js";
+import { getOrCreateDailySuggestion, findDailySuggestion, formatSuggestion, SUGGESTION_USER_FIELDS } from "./utils/dailySuggestion.js";
+import { sendFriendRequest } from "./utils/friends.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -50,12 +60,15 @@ if (!JWT_SECRET) {
 import User from "./models/User.js";
 import Post from "./models/Post.js";
 import Notification from "./models/Notification.js";
+import DailySuggestion from "./models/DailySuggestion.js";
+import Conversation from "./models/Conversation.js";
 
 // Connect to MongoDB with retry logic and optimized connection
 const connectWithRetry = async () => {
   try {
     await connectDB();
     console.log("MongoDB connected successfully");
+    await ensureBootstrapAdmin();
   } catch (err) {
     console.error("MongoDB connection error:", err);
     console.log("Retrying connection in 5 seconds...");
@@ -86,10 +99,17 @@ app.use(helmet({
   }
 }));
 
-// Rate limiting to prevent brute force attacks
+// Behind a load balancer, req.ip is only the real client address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// General per-IP rate limit against floods. Login brute force is handled per account and
+// per IP in utils/loginThrottle.js, so this can stay generous for users sharing one NAT address.
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES || "", 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_MAX || "", 10) || 1000,
   message: {
     error: "Too many requests from this IP, please try again later."
   }
@@ -169,6 +189,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Message attachments live under uploads/private and are only served by messageController
+app.use("/uploads/private", (req, res) => res.status(404).json({ message: "Not found" }));
+
 // Serve static files for local uploads with optimized caching
 app.use("/uploads", express.static("uploads", {
   maxAge: '7d', // Cache for 7 days (increased from 1 day)
@@ -196,37 +219,14 @@ app.use("/api/posts", await import("./routes/postRoutes.js").then(m => m.default
 app.use("/api/comments", await import("./routes/commentRoutes.js").then(m => m.default));
 app.use("/api/matches", await import("./routes/matchRoutes.js").then(m => m.default));
 app.use("/api/messages", await import("./routes/messageRoutes.js").then(m => m.default));
+app.use("/api/conversations", await import("./routes/conversationRoutes.js").then(m => m.default));
 app.use("/api/profile", await import("./routes/profileRoutes.js").then(m => m.default));
 app.use("/api/admin", await import("./routes/adminRoutes.js").then(m => m.default));
+app.use("/api/reports", await import("./routes/reportRoutes.js").then(m => m.default));
+app.use("/api/appeals", await import("./routes/appealRoutes.js").then(m => m.default));
+app.use("/api/keys", await import("./routes/keyRoutes.js").then(m => m.default));
 app.use("/api/system", await import("./routes/systemRoutes.js").then(m => m.default));
 
-// =====================
-// Auth Middleware
-// =====================
-export const requireAuth = (req, res, next) => {
-  // Try to get token from Authorization header (standard Bearer token format)
-  let token = null;
-  
-  // Check Authorization header first (standard format)
-  if (req.headers.authorization && req.headers.authorization.startsWith("Bearer ")) {
-    token = req.headers.authorization.split(" ")[1];
-  }
-  // Fallback to x-user-id header for backwards compatibility with frontend
-  else if (req.headers["x-user-id"]) {
-    token = req.headers["x-user-id"];
-  }
-  
-  if (!token) return res.status(401).json({ message: "No token provided" });
-
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: "Invalid token" });
-  }
-};
-
 // =====================
 // Routes
 // =====================
@@ -434,40 +434,23 @@ app.get("/posts/:postId", async (req, res) => {
 // Friends API
 // =====================
 // Send friend request
-app.post("/api/friends/request", requireAuth, async (req, res) => {
+app.post("/api/friends/request", auth, async (req, res) => {
   try {
     const { userId } = req.body;
-    const currentUserId = req.user._id;
 
     if (!userId) {
       return res.status(400).json({ message: "User ID is required" });
     }
 
-    // Check if user exists and is not suspended
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    if (user.suspended) {
-      return res.status(403).json({ message: "This user is suspended" });
-    }
-
-    // Check if already friends
-    const currentUser = await User.findById(currentUserId);
-    if (currentUser.friends.includes(userId)) {
-      return res.status(400).json({ message: "You are already friends with this user" });
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
     }
 
-    // Check if friend request already sent
-    if (user.friendRequests.includes(currentUserId)) {
-      return res.status(400).json({ message: "Friend request already sent" });
+    const { error } = await sendFriendRequest(req.app, req.user, userId);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
 
-    // Add friend request
-    await User.findByIdAndUpdate(userId, {
-      $addToSet: { friendRequests: currentUserId }
-    });
-
     res.json({ message: "Friend request sent successfully" });
   } catch (error) {
     console.error("Send friend request error:", error);
@@ -476,7 +459,7 @@ app.post("/api/friends/request", requireAuth, async (req, res) => {
 });
 
 // Accept friend request
-app.post("/api/friends/accept", requireAuth, async (req, res) => {
+app.post("/api/friends/accept", auth, async (req, res) => {
   try {
     const { userId } = req.body;
     const currentUserId = req.user._id;
@@ -485,10 +468,23 @@ app.post("/api/friends/accept", requireAuth, async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
-    // Remove friend request
-    await User.findByIdAndUpdate(currentUserId, {
-      $pull: { friendRequests: userId }
-    });
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    // Remove the friend request; only a pending request can be accepted, since friendship
+    // decides who can message whom (and who can be added to groups)
+    const hadRequest = await User.findOneAndUpdate(
+      { _id: currentUserId, friendRequests: userId },
+      { $pull: { friendRequests: userId } }
+    );
+    if (!hadRequest) {
+      return res.status(404).json({ message: "No friend request from this user" });
+    }
+
+    if (await isBlockedBetween(currentUserId, userId)) {
+      return res.status(403).json({ message: "You cannot accept a friend request from this user" });
+    }
 
     // Add each other as friends
     await User.findByIdAndUpdate(currentUserId, {
@@ -500,6 +496,7 @@ app.post("/api/friends/accept", requireAuth, async (req, res) => {
     });
 
     // Emit socket event for real-time notification
+    const currentUser = await User.findById(currentUserId).select("name");
     const io = req.app.locals.io;
     const userSockets = req.app.locals.userSockets;
     const recipientSockets = userSockets.get(userId);
@@ -521,7 +518,7 @@ app.post("/api/friends/accept", requireAuth, async (req, res) => {
 });
 
 // Reject friend request
-app.post("/api/friends/reject", requireAuth, async (req, res) => {
+app.post("/api/friends/reject", auth, async (req, res) => {
   try {
     const { userId } = req.body;
     const currentUserId = req.user._id;
@@ -543,7 +540,7 @@ app.post("/api/friends/reject", requireAuth, async (req, res) => {
 });
 
 // Remove friend
-app.post("/api/friends/remove", requireAuth, async (req, res) => {
+app.post("/api/friends/remove", auth, async (req, res) => {
   try {
     const { userId } = req.body;
     const currentUserId = req.user._id;
@@ -569,7 +566,7 @@ app.post("/api/friends/remove", requireAuth, async (req, res) => {
 });
 
 // Get friends list
-app.get("/api/friends", requireAuth, async (req, res) => {
+app.get("/api/friends", auth, async (req, res) => {
   try {
     console.log("Fetching friends for user:", req.user._id);
     
@@ -584,9 +581,13 @@ app.get("/api/friends", requireAuth, async (req, res) => {
 
     console.log("Found user:", currentUser._id, "Friends count:", currentUser.friends?.length, "Requests count:", currentUser.friendRequests?.length);
 
+    // Blocks drop friendships, but filter here too in case of stale data
+    const blockedIds = await getBlockedIdSet(currentUser._id);
+    const visible = (list) => (list || []).filter((u) => u && !blockedIds.has(String(u._id)));
+
     res.json({
-      friends: currentUser.friends || [],
-      friendRequests: currentUser.friendRequests || []
+      friends: visible(currentUser.friends),
+      friendRequests: visible(currentUser.friendRequests)
     });
   } catch (error) {
     console.error("Get friends error:", error);
@@ -595,63 +596,94 @@ app.get("/api/friends", requireAuth, async (req, res) => {
 });
 
 // Get daily random user suggestion
-app.get("/api/friends/daily-suggestion", requireAuth, async (req, res) => {
+app.get("/api/friends/daily-suggestion", auth, async (req, res) => {
   try {
     const currentUserId = req.user._id;
     
-    // Get the current user's gender
-    const currentUser = await User.findById(currentUserId).select('gender');
+    // Get the current user's gender, location, interests and friends
+    const currentUser = await User.findById(currentUserId).select(SUGGESTION_USER_FIELDS);
     if (!currentUser) {
       return res.status(404).json({ message: "User not found" });
     }
-    
-    // Get current user's friends
-    const currentUserWithFriends = await User.findById(currentUserId).select('friends');
-    const friendIds = currentUserWithFriends.friends || [];
-    
-    // Get a random user of opposite gender who is not already a friend
-    const randomUser = await User.aggregate([
-      { 
-        $match: { 
-          _id: { $ne: currentUserId },
-          suspended: { $ne: true },
-          visible: true,
-          gender: { $ne: currentUser.gender },
-          _id: { $nin: friendIds }
-        } 
-      },
-      { $sample: { size: 1 } },
-      {
-        $project: {
-          name: 1,
-          username: 1,
-          profileImage: 1,
-          bio: 1,
-          age: 1,
-          location: 1,
-          interests: 1,
-          isOnline: 1
-        }
+
+    // Optional ?radius= (km) limits suggestions to nearby users
+    let radiusKm = null;
+    if (req.query.radius) {
+      radiusKm = Number(req.query.radius);
+      if (!Number.isFinite(radiusKm) || radiusKm < 1 || radiusKm > 500) {
+        return res.status(400).json({ message: "radius must be between 1 and 500 km" });
       }
-    ]);
+      if (!hasPoint(currentUser.geo)) {
+        return res.status(400).json({ message: "Set your location to search by distance" });
+      }
+    }
     
-    if (randomUser.length === 0) {
+    // Today's suggestion stays the same across refreshes
+    const daily = await getOrCreateDailySuggestion(currentUser, { radiusKm });
+    
+    if (!daily) {
       // If no users found, return a more generic message
       return res.status(404).json({ message: "No users available for daily suggestion" });
     }
     
-    res.json(randomUser[0]);
+    // Expose only an approximate distance, never the coordinates
+    res.json(formatSuggestion(daily, currentUser.geo));
   } catch (error) {
     console.error("Get daily suggestion error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// Record the outcome of today's suggestion ("skip" or "connect")
+const respondToDailySuggestion = (outcome) => async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+    const currentUser = await User.findById(currentUserId).select(SUGGESTION_USER_FIELDS);
+    if (!currentUser) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Only a suggestion the user has actually been shown today
+    const daily = await findDailySuggestion(currentUser);
+    if (!daily) {
+      return res.status(404).json({ message: "No daily suggestion to respond to" });
+    }
+    if (daily.suggestion.outcome !== "pending") {
+      return res.status(409).json({ message: `Already ${daily.suggestion.outcome} today's suggestion` });
+    }
+
+    const suggestion = await DailySuggestion.findOneAndUpdate(
+      { _id: daily.suggestion._id, outcome: "pending" },
+      { outcome, outcomeAt: new Date() },
+      { new: true }
+    );
+    if (!suggestion) {
+      return res.status(409).json({ message: "Already responded to today's suggestion" });
+    }
+
+    // Connecting sends a friend request to the suggested user (nothing to do if already friends or asked)
+    if (outcome === "connected") {
+      const { error } = await sendFriendRequest(req.app, req.user, daily.candidate._id);
+      if (error && error.status !== 400) {
+        return res.status(error.status).json({ message: error.message });
+      }
+    }
+
+    res.json(formatSuggestion({ suggestion, candidate: daily.candidate }, currentUser.geo));
+  } catch (error) {
+    console.error("Daily suggestion response error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+app.post("/api/friends/daily-suggestion/skip", auth, respondToDailySuggestion("skipped"));
+app.post("/api/friends/daily-suggestion/connect", auth, respondToDailySuggestion("connected"));
+
 // =====================
 // Notifications API
 // =====================
 // Get notifications
-app.get("/api/notifications", requireAuth, async (req, res) => {
+app.get("/api/notifications", auth, async (req, res) => {
   try {
     const userId = req.user._id;
     
@@ -668,7 +700,7 @@ app.get("/api/notifications", requireAuth, async (req, res) => {
 });
 
 // Mark notification as read
-app.post("/api/notifications/:id/read", requireAuth, async (req, res) => {
+app.post("/api/notifications/:id/read", auth, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
@@ -692,7 +724,7 @@ app.post("/api/notifications/:id/read", requireAuth, async (req, res) => {
 });
 
 // Mark all notifications as read
-app.post("/api/notifications/read-all", requireAuth, async (req, res) => {
+app.post("/api/notifications/read-all", auth, async (req, res) => {
   try {
     const userId = req.user._id;
     
@@ -710,7 +742,7 @@ app.post("/api/notifications/read-all", requireAuth, async (req, res) => {
 });
 
 // Delete notification
-app.delete("/api/notifications/:id", requireAuth, async (req, res) => {
+app.delete("/api/notifications/:id", auth, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
@@ -754,78 +786,110 @@ const io = new IOServer(server, {
 // Track connected users
 const userSockets = new Map();
 
-const verifyToken = (token) => {
-  try {
-    return jwt.verify(token, JWT_SECRET);
-  } catch {
-    return null;
-  }
+// Per-socket limits for events clients can fire freely
+const SOCKET_EVENT_LIMITS = {
+  typing: { limit: 20, windowMs: 10 * 1000 },
+  heartbeat: { limit: 6, windowMs: 60 * 1000 },
+  matchNotification: { limit: 5, windowMs: 60 * 1000 },
+  joinRoom: { limit: 30, windowMs: 60 * 1000 },
 };
 
-io.on("connection", (socket) => {
-  console.log(`Socket connected: ${socket.id}`);
-
-  socket.on("identify", (userId) => {
-    if (!userId) return;
-    socket.userId = userId;
-    const set = userSockets.get(userId) || new Set();
-    set.add(socket.id);
-    userSockets.set(userId, set);
-    console.log(`User ${userId} identified.`);
-    io.emit("presence", { userId, online: true });
-  });
-
-  socket.on("authenticate", (token) => {
-    const decoded = verifyToken(token);
-    if (!decoded) {
-      socket.emit("authError", { message: "Invalid token" });
-      socket.disconnect();
-      return;
+// Authenticate in the handshake: connections without a valid session token are refused,
+// so every socket below has a verified socket.userId
+io.use(async (socket, next) => {
+  try {
+    const { user, sessionId, error } = await authenticateToken(getHandshakeToken(socket));
+    if (error) {
+      const err = new Error(error.body.message);
+      err.data = error.body;
+      return next(err);
     }
+    socket.userId = String(user._id);
+    socket.sessionId = sessionId;
+    socket.data.userId = socket.userId; // visible to fetchSockets() for per-user room payloads
+    next();
+  } catch (err) {
+    console.error("Socket auth error:", err);
+    next(new Error("Authentication failed"));
+  }
+});
 
-    const userId = decoded._id || decoded.id;
-    socket.userId = userId;
-    const set = userSockets.get(userId) || new Set();
-    set.add(socket.id);
-    userSockets.set(userId, set);
+io.on("connection", (socket) => {
+  const userId = socket.userId;
+  console.log(`Socket connected: ${socket.id} (user ${userId})`);
+
+  const set = userSockets.get(userId) || new Set();
+  set.add(socket.id);
+  userSockets.set(userId, set);
+  socket.join(`user:${userId}`);
+  socket.emit("authSuccess", { message: "Connected!", userId });
+
+  // Group messages are delivered through the groups' rooms
+  if (mongoose.connection.readyState === 1) {
+    Conversation.find({ type: "group", participants: userId }).select("_id").lean()
+      .then((groups) => groups.forEach((group) => socket.join(conversationRoom(group._id))))
+      .catch((err) => console.error("Group room join error:", err.message));
+  }
+  emitPresence(io, userId, true);
 
+  // Older clients still send these after connecting; identity comes from the handshake only
+  socket.on("authenticate", () => {
     socket.emit("authSuccess", { message: "Connected!", userId });
-    console.log(`User ${userId} authenticated.`);
-    io.emit("presence", { userId, online: true });
+  });
+  socket.on("identify", () => {
+    socket.emit("authError", { message: "identify is no longer supported; send the token in the handshake" });
   });
 
-  socket.on("typing", ({ toUserId, isTyping }) => {
-    if (!socket.userId) return;
-    const sockets = userSockets.get(toUserId);
+  socket.on("typing", async ({ toUserId, isTyping } = {}) => {
+    if (!allowSocketEvent(socket, "typing", SOCKET_EVENT_LIMITS.typing)) return;
+    try {
+      if (await isBlockedBetween(userId, toUserId)) return;
+    } catch (err) {
+      return;
+    }
+    const sockets = userSockets.get(String(toUserId));
     if (sockets) {
-      sockets.forEach((sid) => io.to(sid).emit("typing", { from: socket.userId, isTyping }));
+      sockets.forEach((sid) => io.to(sid).emit("typing", { from: userId, isTyping }));
     }
   });
 
-  socket.on("joinRoom", (roomId) => {
-    if (!socket.userId) return;
-    socket.join(roomId);
+  socket.on("joinRoom", async (roomId) => {
+    if (!allowSocketEvent(socket, "joinRoom", SOCKET_EVENT_LIMITS.joinRoom)) return;
+    try {
+      if (!(await canJoinRoom(userId, roomId))) {
+        socket.emit("roomError", { roomId, message: "Not allowed to join this room" });
+        return;
+      }
+      socket.join(roomId);
+    } catch (err) {
+      socket.emit("roomError", { roomId, message: "Could not join room" });
+    }
   });
 
   socket.on("leaveRoom", (roomId) => {
-    if (!socket.userId) return;
+    if (roomId === `user:${userId}`) return;
     socket.leave(roomId);
   });
 
   socket.on("heartbeat", () => {
-    if (socket.userId) {
-      io.emit("presence", { userId: socket.userId, online: true });
-    }
+    if (!allowSocketEvent(socket, "heartbeat", SOCKET_EVENT_LIMITS.heartbeat)) return;
+    emitPresence(io, userId, true);
   });
 
-  socket.on("matchNotification", (data) => {
-    if (!socket.userId) return;
-    const recipientSockets = userSockets.get(data.recipientId);
+  // Only actual matches can be pinged, same as POST /api/matches/notify
+  socket.on("matchNotification", async (data = {}) => {
+    if (!allowSocketEvent(socket, "matchNotification", SOCKET_EVENT_LIMITS.matchNotification)) return;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(data.recipientId) || !(await isMutualMatch(userId, data.recipientId))) return;
+    } catch (err) {
+      return;
+    }
+    const recipientSockets = userSockets.get(String(data.recipientId));
     if (recipientSockets) {
       recipientSockets.forEach((sid) => {
         io.to(sid).emit("matchNotification", {
-          from: socket.userId,
-          message: data.message || "New match!",
+          from: userId,
+          message: typeof data.message === "string" ? data.message.slice(0, 200) : "New match!",
           matchData: data.matchData,
           timestamp: new Date(),
         });
@@ -835,14 +899,12 @@ io.on("connection", (socket) => {
 
   socket.on("disconnect", () => {
     console.log(`Socket disconnected: ${socket.id}`);
-    if (socket.userId) {
-      const set = userSockets.get(socket.userId);
-      if (set) {
-        set.delete(socket.id);
-        if (set.size === 0) {
-          userSockets.delete(socket.userId);
-          io.emit("presence", { userId: socket.userId, online: false });
-        }
+    const set = userSockets.get(userId);
+    if (set) {
+      set.delete(socket.id);
+      if (set.size === 0) {
+        userSockets.delete(userId);
+        emitPresence(io, userId, false);
       }
     }
   });
@@ -871,7 +933,7 @@ async function sendDailyRandomUserNotifications() {
         suspended: { $ne: true },
         visible: true 
       })
-      .select('_id friends gender')
+      .select(`_id ${SUGGESTION_USER_FIELDS}`)
       .skip(skip)
       .limit(batchSize);
       
@@ -880,41 +942,22 @@ async function sendDailyRandomUserNotifications() {
       // Process each user in the batch
       for (const user of users) {
         try {
-          // Get a random user of opposite gender who is not already a friend
-          const randomUser = await User.aggregate([
-            { 
-              $match: { 
-                _id: { $ne: user._id },
-                suspended: { $ne: true },
-                visible: true,
-                gender: { $ne: user.gender },
-                _id: { $nin: user.friends || [] }
-              } 
-            },
-            { $sample: { size: 1 } },
-            {
-              $project: {
-                name: 1,
-                username: 1,
-                profileImage: 1,
-                bio: 1,
-                age: 1,
-                location: 1
-              }
-            }
-          ]);
+          // Reuse today's suggestion if the user already opened it
+          const daily = await getOrCreateDailySuggestion(user);
           
-          if (randomUser.length > 0) {
+          if (daily && !daily.suggestion.notifiedAt) {
+            const suggested = daily.candidate;
             // Create notification
             const notification = new Notification({
               userId: user._id,
               type: "daily_match",
               title: "Daily Match Suggestion",
-              message: `Check out ${randomUser[0].name} as your daily match suggestion!`,
-              relatedUser: randomUser[0]._id
+              message: `Check out ${suggested.name} as your daily match suggestion!`,
+              relatedUser: suggested._id
             });
             
             await notification.save();
+            await DailySuggestion.updateOne({ _id: daily.suggestion._id }, { notifiedAt: new Date() });
             notificationCount++;
             
             // Emit real-time notification via socket (only if user is online)
@@ -926,7 +969,7 @@ async function sendDailyRandomUserNotifications() {
                 io.to(sid).emit("notification", {
                   type: "daily_match",
                   title: "Daily Match Suggestion",
-                  message: `Check out ${randomUser[0].name} as your daily match suggestion!`,
+                  message: `Check out ${suggested.name} as your daily match suggestion!`,
                   timestamp: new Date(),
                   unread: true
                 });
@@ -968,6 +1011,9 @@ function scheduleDailyNotifications() {
   }, timeUntilNextRun);
 }
 
+// Lift timed suspensions once they expire
+scheduleSuspensionLifts();
+
 // Start scheduling (only in production or when explicitly enabled)
 if (process.env.NODE_ENV === 'production' || process.env.ENABLE_DAILY_NOTIFICATIONS === 'true') {
   scheduleDailyNotifications();
@@ -978,4 +1024,9 @@ server.listen(PORT, () => {
   console.log(`AuraMeet backend running on port ${PORT}`);
   console.log(`JWT_SECRET loaded: ${!!JWT_SECRET}`);
   console.log(`MongoDB URI: ${process.env.MONGODB_URI ? 'Defined' : 'Undefined'}`);
+  try {
+    console.log(`Message encryption key: ${currentKeyId()}`);
+  } catch (err) {
+    console.warn(`⚠️ ${err.message}; plain-text messages will be rejected`);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,58 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+// Each purpose has a lifetime and a fingerprint of the user state it acts on.
+// Once that state changes (email verified, password replaced) the fingerprint no longer
+// matches, which makes every token single-use without storing it.
+const PURPOSES = {
+  verify_email: {
+    expiresIn: "24h",
+    state: (user) => `${user.email}|${Boolean(user.emailVerified)}`,
+  },
+  reset_password: {
+    expiresIn: "1h",
+    state: (user) => user.password,
+  },
+};
+
+const fingerprint = (user, purpose) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${purpose}|${user._id}|${PURPOSES[purpose].state(user)}`)
+    .digest("base64url")
+    .slice(0, 22);
+
+/**
+ * Sign a single-use token for an account action
+ * @param {Object} user - User document, including `password` for password resets
+ * @param {"verify_email"|"reset_password"} purpose - What the token may be used for
+ * @returns {string}
+ */
+export const signAccountToken = (user, purpose) =>
+  jwt.sign({ _id: user._id, scope: purpose, fp: fingerprint(user, purpose) }, process.env.JWT_SECRET, {
+    expiresIn: PURPOSES[purpose].expiresIn,
+  });
+
+/**
+ * Check an account token and load its user
+ * @param {string} token - Token from signAccountToken
+ * @param {"verify_email"|"reset_password"} purpose - Expected purpose
+ * @returns {Promise<Object|null>} The user (with password) or null when invalid, expired or already used
+ */
+export const verifyAccountToken = async (token, purpose) => {
+  if (typeof token !== "string" || !PURPOSES[purpose]) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.scope !== purpose || !mongoose.Types.ObjectId.isValid(decoded._id)) return null;
+
+  const user = await User.findById(decoded._id);
+  if (!user || decoded.fp !== fingerprint(user, purpose)) return null;
+  return user;
+};
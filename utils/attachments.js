@@ -0,0 +1,107 @@
+import path from "path";
+import jwt from "jsonwebtoken";
+
+const MB = 1024 * 1024;
+
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+// Voice notes are kept short by size: 5 MB is several minutes of Opus/AAC
+export const ATTACHMENT_SIZE_LIMITS = { image: 8 * MB, audio: 5 * MB, file: 10 * MB };
+export const MAX_ATTACHMENT_BYTES = Math.max(...Object.values(ATTACHMENT_SIZE_LIMITS));
+const URL_TOKEN_TTL = "1h";
+
+const hasBytes = (buf, bytes, offset = 0) => bytes.every((b, i) => buf[offset + i] === b);
+const ascii = (buf, start, end) => buf.toString("latin1", start, end);
+
+const isUtf8Text = (buf) => !buf.includes(0) && Buffer.from(buf.toString("utf8"), "utf8").equals(buf);
+
+// The type is decided from the file's first bytes; the client's Content-Type and file name
+// are never trusted. SVG and HTML are deliberately absent (they can carry scripts).
+const FILE_TYPES = [
+  { kind: "image", mimeType: "image/jpeg", extension: ".jpg", test: (b) => hasBytes(b, [0xff, 0xd8, 0xff]) },
+  { kind: "image", mimeType: "image/png", extension: ".png", test: (b) => hasBytes(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { kind: "image", mimeType: "image/gif", extension: ".gif", test: (b) => ["GIF87a", "GIF89a"].includes(ascii(b, 0, 6)) },
+  { kind: "image", mimeType: "image/webp", extension: ".webp", test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP" },
+  { kind: "audio", mimeType: "audio/ogg", extension: ".ogg", test: (b) => ascii(b, 0, 4) === "OggS" },
+  { kind: "audio", mimeType: "audio/webm", extension: ".webm", test: (b) => hasBytes(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { kind: "audio", mimeType: "audio/wav", extension: ".wav", test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WAVE" },
+  // ID3 tag, or an MPEG audio frame header (layer bits non-zero, which rules out AAC ADTS)
+  { kind: "audio", mimeType: "audio/mpeg", extension: ".mp3", test: (b) => ascii(b, 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0) },
+  { kind: "audio", mimeType: "audio/mp4", extension: ".m4a", test: (b) => ascii(b, 4, 8) === "ftyp" && ["M4A ", "M4B ", "mp42", "isom"].includes(ascii(b, 8, 12)) },
+  { kind: "file", mimeType: "application/pdf", extension: ".pdf", test: (b) => ascii(b, 0, 5) === "%PDF-" },
+  { kind: "file", mimeType: "text/plain", extension: ".txt", test: isUtf8Text },
+];
+
+/**
+ * Work out what an uploaded file really is
+ * @param {Buffer} buffer - File contents
+ * @returns {{kind: "image"|"audio"|"file", mimeType: string, extension: string}|null} null when not allowed
+ */
+export const sniffFileType = (buffer) => {
+  if (!buffer?.length) return null;
+  const match = FILE_TYPES.find((type) => type.test(buffer));
+  return match ? { kind: match.kind, mimeType: match.mimeType, extension: match.extension } : null;
+};
+
+// Keep only a printable base name for display and downloads
+const displayName = (originalName, extension) => {
+  const base = path.basename(String(originalName || "")).replace(/[\u0000-\u001f\u007f"\\<>]/g, "").trim().slice(0, 200);
+  return base || `attachment${extension}`;
+};
+
+/**
+ * Check uploaded files (from multer) against the allowed types and size caps
+ * @param {Array<Object>} files - Multer files with `buffer`, `size` and `originalname`
+ * @returns {{error?: string, attachments?: Array<Object>}} Sniffed type, size and display name per file
+ */
+export const validateAttachments = (files) => {
+  if (files.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { error: `Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files per message` };
+  }
+
+  const attachments = [];
+  for (const file of files) {
+    const type = sniffFileType(file.buffer);
+    const name = displayName(file.originalname, type?.extension || "");
+    if (!type) return { error: `${name}: only images (JPEG, PNG, GIF, WebP), audio (Ogg, WebM, WAV, MP3, M4A), PDF and plain-text files can be attached` };
+    if (file.size > ATTACHMENT_SIZE_LIMITS[type.kind]) {
+      return { error: `${name}: ${type.kind} attachments are limited to ${ATTACHMENT_SIZE_LIMITS[type.kind] / MB} MB` };
+    }
+    attachments.push({ ...type, buffer: file.buffer, size: file.size, name });
+  }
+  return { attachments };
+};
+
+/**
+ * URL through which one participant can fetch an attachment. It carries a short-lived token
+ * so it works in <img>/<audio> tags without an Authorization header.
+ * @param {string} messageId - The message
+ * @param {string} attachmentId - The attachment sub-document
+ * @param {string} userId - The participant the URL is for
+ * @returns {string}
+ */
+export const attachmentUrl = (messageId, attachmentId, userId) => {
+  const token = jwt.sign(
+    { _id: String(userId), scope: "attachment", mid: String(messageId), aid: String(attachmentId) },
+    process.env.JWT_SECRET,
+    { expiresIn: URL_TOKEN_TTL }
+  );
+  return `/api/messages/attachments/${messageId}/${attachmentId}?token=${token}`;
+};
+
+/**
+ * Check an attachment URL token
+ * @param {string} token - Token from attachmentUrl
+ * @param {string} messageId - Message in the requested URL
+ * @param {string} attachmentId - Attachment in the requested URL
+ * @returns {string|null} The user the URL was issued to, or null
+ */
+export const verifyAttachmentToken = (token, messageId, attachmentId) => {
+  if (typeof token !== "string") return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.scope !== "attachment" || decoded.mid !== String(messageId) || decoded.aid !== String(attachmentId)) return null;
+    return decoded._id;
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,77 @@
+import AdminAuditLog from "../models/AdminAuditLog.js";
+
+// User fields admin actions can change; snapshots and diffs are limited to these
+export const AUDITED_USER_FIELDS = [
+  "name",
+  "username",
+  "email",
+  "visible",
+  "visibilityRequested",
+  "visibilityApproved",
+  "isVerified",
+  "suspended",
+  "suspension",
+];
+
+/**
+ * Pick the audited fields from a document
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @param {Array<string>} [fields] - Fields to keep
+ * @returns {Object|null} Plain snapshot, or null when there is no document
+ */
+export const snapshot = (doc, fields = AUDITED_USER_FIELDS) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return fields.reduce((acc, field) => {
+    acc[field] = obj[field] === undefined ? null : obj[field];
+    return acc;
+  }, {});
+};
+
+/**
+ * List the fields whose value differs between two snapshots
+ * @param {Object|null} before - Snapshot before the action (null when created)
+ * @param {Object|null} after - Snapshot after the action (null when deleted)
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  fields.forEach((field) => {
+    const prev = before ? before[field] ?? null : null;
+    const next = after ? after[field] ?? null : null;
+    if (JSON.stringify(prev) !== JSON.stringify(next)) changes.push({ field, before: prev, after: next });
+  });
+  return changes;
+};
+
+/**
+ * Append an entry to the admin audit log. Failures are logged, not thrown,
+ * so a completed moderation action is never reported back as failed.
+ * @param {Object} req - Express request holding `req.admin`
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - One of AUDIT_TARGET_TYPES
+ * @param {string} entry.targetId - ID of the affected document
+ * @param {Object|null} [entry.before] - Snapshot before the action
+ * @param {Object|null} [entry.after] - Snapshot after the action
+ * @param {string} [entry.reason] - Free-text reason given by the admin
+ * @returns {Promise<Object|null>} The created entry
+ */
+export const recordAdminAction = async (req, { action, targetType, targetId, before = null, after = null, reason }) => {
+  try {
+    return await AdminAuditLog.create({
+      admin: req.admin._id,
+      adminUsername: req.admin.username,
+      action,
+      targetType,
+      targetId,
+      changes: diffSnapshots(before, after),
+      reason: typeof reason === "string" ? reason.slice(0, 1000) : "",
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error("Audit log error:", err.message);
+    return null;
+  }
+};
@@ -0,0 +1,82 @@
+import User from "../models/User.js";
+import Match from "../models/Match.js";
+
+// Short-lived cache so socket events (typing, presence) don't hit the DB every time
+const CACHE_TTL_MS = 60 * 1000;
+const blockCache = new Map();
+
+/**
+ * IDs of users hidden from `userId` in either direction (blocked by them or blocking them)
+ * @param {string} userId - The user ID
+ * @returns {Promise<Set<string>>} Blocked user IDs as strings
+ */
+export const getBlockedIdSet = async (userId) => {
+  const key = String(userId);
+  const cached = blockCache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.ids;
+
+  const [me, blockers] = await Promise.all([
+    User.findById(userId).select("blockedUsers").lean(),
+    User.find({ blockedUsers: userId }).distinct("_id"),
+  ]);
+  const ids = new Set([...(me?.blockedUsers || []), ...blockers].map(String));
+
+  blockCache.set(key, { ids, at: Date.now() });
+  return ids;
+};
+
+/**
+ * Same as getBlockedIdSet, as an array usable in `$nin` queries
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<string>>}
+ */
+export const getBlockedIds = async (userId) => [...(await getBlockedIdSet(userId))];
+
+/**
+ * Whether either user has blocked the other
+ * @param {string} userId - First user ID
+ * @param {string} otherId - Second user ID
+ * @returns {Promise<boolean>}
+ */
+export const isBlockedBetween = async (userId, otherId) => {
+  const ids = await getBlockedIdSet(userId);
+  return ids.has(String(otherId));
+};
+
+/**
+ * Drop cached block lists after a block/unblock
+ * @param {...string} userIds - Users whose lists changed
+ */
+export const invalidateBlockCache = (...userIds) => {
+  userIds.forEach((id) => blockCache.delete(String(id)));
+};
+
+/**
+ * Block a user: also drops any friendship, pending friend request and match between the two
+ * @param {string} userId - The user blocking
+ * @param {string} otherId - The user being blocked
+ * @returns {Promise<void>}
+ */
+export const blockUser = async (userId, otherId) => {
+  // Block, and drop any friendship or pending friend request in both directions
+  await User.findByIdAndUpdate(userId, {
+    $addToSet: { blockedUsers: otherId },
+    $pull: { friends: otherId, friendRequests: otherId },
+  });
+  await User.findByIdAndUpdate(otherId, {
+    $pull: { friends: userId, friendRequests: userId },
+  });
+
+  // A block also ends any match: record a pass and revert the other side's like to pending
+  await Match.findOneAndUpdate(
+    { userId, matchedUserId: otherId },
+    { status: "rejected", $unset: { acceptedAt: 1 } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  await Match.updateOne(
+    { userId: otherId, matchedUserId: userId, status: "accepted" },
+    { status: "pending", $unset: { acceptedAt: 1 } }
+  );
+
+  invalidateBlockCache(userId, otherId);
+};
@@ -0,0 +1,109 @@
+import User from "../models/User.js";
+
+// Maximum points per factor; they add up to a 0-100 score
+export const SCORE_WEIGHTS = {
+  interests: 35,
+  age: 20,
+  recency: 20,
+  verification: 10,
+  mutualFriends: 15,
+};
+
+const AGE_GAP_LIMIT = 10; // years at which the age factor reaches 0
+const RECENCY_LIMIT_DAYS = 30; // days of inactivity at which the recency factor reaches 0
+const MUTUAL_FRIENDS_CAP = 5; // mutual friends needed for full points
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields a candidate needs for scoring
+export const SCORING_FIELDS = "interests age isVerified lastActiveAt updatedAt friends";
+
+const round = (n) => Math.round(n * 10) / 10;
+const normalize = (list) => new Set((list || []).map((i) => String(i).trim().toLowerCase()).filter(Boolean));
+
+const interestsFactor = (user, candidate) => {
+  const mine = normalize(user.interests);
+  const theirs = normalize(candidate.interests);
+  const shared = [...mine].filter((i) => theirs.has(i));
+  const smaller = Math.min(mine.size, theirs.size);
+  const ratio = smaller ? shared.length / smaller : 0;
+  return { points: ratio * SCORE_WEIGHTS.interests, shared };
+};
+
+const ageFactor = (user, candidate) => {
+  if (user.age == null || candidate.age == null) return { points: 0, difference: null };
+  const difference = Math.abs(user.age - candidate.age);
+  const ratio = Math.max(0, 1 - difference / AGE_GAP_LIMIT);
+  return { points: ratio * SCORE_WEIGHTS.age, difference };
+};
+
+const recencyFactor = (candidate, now) => {
+  const lastActive = candidate.lastActiveAt || candidate.updatedAt;
+  if (!lastActive) return { points: 0, lastActiveDays: null };
+  const days = Math.max(0, (now - new Date(lastActive).getTime()) / DAY_MS);
+  const ratio = days <= 1 ? 1 : Math.max(0, 1 - days / RECENCY_LIMIT_DAYS);
+  return { points: ratio * SCORE_WEIGHTS.recency, lastActiveDays: Math.floor(days) };
+};
+
+const mutualFriendsFactor = (user, candidate) => {
+  const mine = new Set((user.friends || []).map(String));
+  const count = (candidate.friends || []).filter((id) => mine.has(String(id))).length;
+  return { points: (Math.min(count, MUTUAL_FRIENDS_CAP) / MUTUAL_FRIENDS_CAP) * SCORE_WEIGHTS.mutualFriends, count };
+};
+
+/**
+ * Score how compatible a candidate is with a user
+ * @param {Object} user - The user receiving the recommendation
+ * @param {Object} candidate - The candidate profile (needs SCORING_FIELDS)
+ * @param {number} [now] - Reference timestamp, mainly for batch jobs
+ * @returns {{ score: number, breakdown: Object }} Total score (0-100) and per-factor points
+ */
+export const scoreCandidate = (user, candidate, now = Date.now()) => {
+  const interests = interestsFactor(user, candidate);
+  const age = ageFactor(user, candidate);
+  const recency = recencyFactor(candidate, now);
+  const verification = { points: candidate.isVerified ? SCORE_WEIGHTS.verification : 0 };
+  const mutualFriends = mutualFriendsFactor(user, candidate);
+
+  const breakdown = {
+    interests: { points: round(interests.points), max: SCORE_WEIGHTS.interests, sharedInterests: interests.shared },
+    age: { points: round(age.points), max: SCORE_WEIGHTS.age, difference: age.difference },
+    recency: { points: round(recency.points), max: SCORE_WEIGHTS.recency, lastActiveDays: recency.lastActiveDays },
+    verification: { points: verification.points, max: SCORE_WEIGHTS.verification },
+    mutualFriends: { points: round(mutualFriends.points), max: SCORE_WEIGHTS.mutualFriends, count: mutualFriends.count },
+  };
+  const score = round(interests.points + age.points + recency.points + verification.points + mutualFriends.points);
+
+  return { score, breakdown };
+};
+
+/**
+ * Score and sort candidates, best first
+ * @param {Object} user - The user receiving the recommendations
+ * @param {Array} candidates - Candidate profiles
+ * @returns {Array<{ candidate: Object, score: number, breakdown: Object }>}
+ */
+export const rankCandidates = (user, candidates) => {
+  const now = Date.now();
+  return candidates
+    .map((candidate) => ({ candidate, ...scoreCandidate(user, candidate, now) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Load a pool of candidates matching a filter and return the best ranked ones
+ * @param {Object} user - The user receiving the recommendations (needs interests, age, friends)
+ * @param {Object} filter - Mongo filter for the User collection
+ * @param {Object} [options]
+ * @param {string} [options.fields] - Extra profile fields to load
+ * @param {number} [options.limit] - How many ranked candidates to return
+ * @param {number} [options.poolSize] - How many recently active candidates to score
+ * @returns {Promise<Array>} Ranked entries as returned by rankCandidates
+ */
+export const recommendCandidates = async (user, filter, { fields = "", limit = 10, poolSize = 200 } = {}) => {
+  const pool = await User.find(filter)
+    .select(`${fields} ${SCORING_FIELDS}`)
+    .sort({ lastActiveAt: -1, updatedAt: -1 })
+    .limit(poolSize);
+
+  return rankCandidates(user, pool).slice(0, limit);
+};
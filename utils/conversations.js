@@ -0,0 +1,163 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+
+// Profile fields shown next to each inbox entry
+export const INBOX_USER_FIELDS = "name username profileImage isBlueTick";
+
+/**
+ * Key of the direct conversation between two users (same for either order)
+ * @param {string} userId - First user ID
+ * @param {string} otherId - Second user ID
+ * @returns {string}
+ */
+export const directConversationKey = (userId, otherId) => [String(userId), String(otherId)].sort().join(":");
+
+/**
+ * Associated data for server-side message encryption. Binding the ciphertext to its
+ * conversation means it can't be copied into another chat and still decrypt.
+ * @param {string} from - Sender ID
+ * @param {string} to - Recipient ID
+ * @returns {string}
+ */
+export const messageEncryptionContext = (from, to) => `message:${directConversationKey(from, to)}`;
+
+/**
+ * Associated data for server-side encryption of a group's messages
+ * @param {string} conversationId - The group conversation
+ * @returns {string}
+ */
+export const groupEncryptionContext = (conversationId) => `group:${conversationId}`;
+
+/**
+ * Associated data a stored message was encrypted with
+ * @param {Object} msg - Message (or edit-history owner) with `from`/`to` or `conversation`
+ * @returns {string}
+ */
+export const encryptionContextOf = (msg) => msg.conversation
+  ? groupEncryptionContext(msg.conversation._id || msg.conversation)
+  : messageEncryptionContext(msg.from, msg.to);
+
+// The conversation a message belongs to
+const conversationFilterOf = (msg) => msg.conversation
+  ? { _id: msg.conversation._id || msg.conversation }
+  : { key: directConversationKey(msg.from, msg.to) };
+
+const toLastMessage = (msg) => ({
+  _id: msg._id,
+  from: msg.from,
+  encryption: msg.encryption,
+  encryptedContent: msg.encryptedContent,
+  attachmentKinds: (msg.attachments || []).map((a) => a.kind),
+  isUnsent: false,
+  createdAt: msg.createdAt,
+});
+
+/**
+ * Group conversation the user is currently a member of
+ * @param {string} conversationId - The conversation
+ * @param {string} userId - The user
+ * @returns {Promise<Object|null>} null when it doesn't exist, isn't a group or the user isn't a member
+ */
+export const findGroupForMember = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+  return Conversation.findOne({ _id: conversationId, type: "group", participants: userId });
+};
+
+/**
+ * Make a new message the latest of its conversation and count it as unread for the recipient
+ * @param {Object} msg - The saved Message
+ * @param {Object} [options]
+ * @param {boolean} [options.request] - The message opens a message request
+ * @param {boolean} [options.accept] - The message accepts a pending request (e.g. a reply)
+ * @returns {Promise<Object>} The conversation, participants populated with INBOX_USER_FIELDS
+ */
+export const recordConversationMessage = async (msg, { request = false, accept = false } = {}) => {
+  const from = String(msg.from);
+  const to = String(msg.to);
+  const update = {
+    $set: {
+      lastMessage: toLastMessage(msg),
+      lastMessageAt: msg.createdAt,
+    },
+    $setOnInsert: { type: "direct", participants: from === to ? [from] : [from, to] },
+  };
+  if (!msg.seen) update.$inc = { [`unreadCounts.${to}`]: 1 };
+  if (request) update.$set.request = { status: "pending", from, to, createdAt: msg.createdAt };
+  if (accept) Object.assign(update.$set, { "request.status": "accepted", "request.respondedAt": new Date() });
+
+  return Conversation.findOneAndUpdate({ key: directConversationKey(from, to) }, update, {
+    upsert: true,
+    new: true,
+    setDefaultsOnInsert: true,
+  }).populate("participants", INBOX_USER_FIELDS);
+};
+
+/**
+ * Make a new group message the latest of its conversation, count it as unread for the other
+ * members and move the sender's read state up to it
+ * @param {Object} msg - The saved Message
+ * @param {Object} conversation - Its group conversation
+ * @returns {Promise<Object|null>} The conversation, participants populated with INBOX_USER_FIELDS
+ */
+export const recordGroupMessage = (msg, conversation) => {
+  const from = String(msg.from);
+  const unread = {};
+  conversation.participants
+    .filter((id) => String(id) !== from)
+    .forEach((id) => { unread[`unreadCounts.${id}`] = 1; });
+
+  return Conversation.findByIdAndUpdate(
+    conversation._id,
+    {
+      $set: {
+        lastMessage: toLastMessage(msg),
+        lastMessageAt: msg.createdAt,
+        [`unreadCounts.${from}`]: 0,
+        "members.$[sender].lastReadAt": msg.createdAt,
+        "members.$[sender].lastReadMessage": msg._id,
+      },
+      ...(Object.keys(unread).length ? { $inc: unread } : {}),
+    },
+    { new: true, arrayFilters: [{ "sender.user": msg.from }] }
+  ).populate("participants", INBOX_USER_FIELDS);
+};
+
+/**
+ * Recount a user's unread messages from one partner after they read something
+ * @param {string} userId - The reader
+ * @param {string} otherId - The conversation partner
+ * @returns {Promise<Object|null>} The conversation, participants populated, or null if none exists
+ */
+export const syncUnreadCount = async (userId, otherId) => {
+  const unread = await Message.countDocuments({ from: otherId, to: userId, seen: false, deletedFor: { $ne: userId } });
+  return Conversation.findOneAndUpdate(
+    { key: directConversationKey(userId, otherId) },
+    { $set: { [`unreadCounts.${userId}`]: unread } },
+    { new: true }
+  ).populate("participants", INBOX_USER_FIELDS);
+};
+
+/**
+ * Blank the inbox preview when the message it shows is unsent
+ * @param {Object} msg - The unsent Message
+ * @returns {Promise<Object|null>} The updated conversation, or null if the message wasn't the latest
+ */
+export const markLastMessageUnsent = (msg) =>
+  Conversation.findOneAndUpdate(
+    { ...conversationFilterOf(msg), "lastMessage._id": msg._id },
+    { $set: { "lastMessage.isUnsent": true, "lastMessage.encryptedContent": "", "lastMessage.attachmentKinds": [] } },
+    { new: true }
+  ).populate("participants", INBOX_USER_FIELDS);
+
+/**
+ * Show the new text in the inbox preview when the message it shows is edited
+ * @param {Object} msg - The edited Message
+ * @returns {Promise<Object|null>} The updated conversation, or null if the message wasn't the latest
+ */
+export const markLastMessageEdited = (msg) =>
+  Conversation.findOneAndUpdate(
+    { ...conversationFilterOf(msg), "lastMessage._id": msg._id },
+    { $set: { "lastMessage.encryptedContent": msg.encryptedContent } },
+    { new: true }
+  ).populate("participants", INBOX_USER_FIELDS);
@@ -0,0 +1,118 @@
+import User from "../models/User.js";
+import DailySuggestion from "../models/DailySuggestion.js";
+import { getDiscoveryPreferences, buildDiscoveryFilter } from "./discovery.js";
+import { recommendCandidates } from "./compatibility.js";
+import { distanceBucket } from "./geo.js";
+import { isValidTimezone, localDay } from "./timezone.js";
+import { getBlockedIds, isBlockedBetween } from "./blocks.js";
+
+const SUGGESTION_FIELDS = ["name", "username", "profileImage", "bio", "age", "location", "interests"];
+
+// Days before the same person can be suggested again (read lazily, after .env is loaded)
+const repeatWindowDays = () => Number(process.env.DAILY_SUGGESTION_REPEAT_WINDOW_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields the suggesting user needs loaded
+export const SUGGESTION_USER_FIELDS = "gender geo friends interests age timezone";
+
+/**
+ * Pick the best-scoring daily suggestion for a user
+ * @param {Object} user - User document with SUGGESTION_USER_FIELDS
+ * @param {Object} [options]
+ * @param {number} [options.radiusKm] - Only suggest users within this distance
+ * @param {Array} [options.excludeIds] - Users that must not be suggested
+ * @returns {Promise<Object|null>} Ranked entry ({ candidate, score, breakdown }) or null
+ */
+export const pickDailySuggestion = async (user, { radiusKm, excludeIds = [] } = {}) => {
+  const [preferences, blockedIds] = await Promise.all([
+    getDiscoveryPreferences(user._id),
+    getBlockedIds(user._id),
+  ]);
+  const filter = buildDiscoveryFilter({
+    userId: user._id,
+    preferences,
+    excludeIds: [...(user.friends || []), ...blockedIds, ...excludeIds],
+    origin: user.geo,
+    radiusKm,
+  });
+  // Without an explicit gender preference keep the original opposite-gender default
+  if (!preferences.genders?.length) filter.gender = { $ne: user.gender };
+
+  const [best] = await recommendCandidates(user, filter, { fields: `${SUGGESTION_FIELDS.join(" ")} geo`, limit: 1 });
+  return best || null;
+};
+
+// A stored suggestion stays valid while the suggested user can still be discovered
+const loadSuggestedUser = (id) =>
+  User.findOne({ _id: id, suspended: { $ne: true }, visible: true }).select(`${SUGGESTION_FIELDS.join(" ")} geo`);
+
+/**
+ * Today's suggestion for a user, if one has been chosen and can still be shown
+ * @param {Object} user - User document with SUGGESTION_USER_FIELDS
+ * @returns {Promise<{ suggestion: Object, candidate: Object }|null>} History entry and suggested user
+ */
+export const findDailySuggestion = async (user) => {
+  const timezone = isValidTimezone(user.timezone) ? user.timezone : "UTC";
+  const suggestion = await DailySuggestion.findOne({ user: user._id, day: localDay(timezone) });
+  if (!suggestion || (await isBlockedBetween(user._id, suggestion.suggestedUser))) return null;
+
+  const candidate = await loadSuggestedUser(suggestion.suggestedUser);
+  return candidate ? { suggestion, candidate } : null;
+};
+
+/**
+ * Today's suggestion for a user, choosing and persisting one if needed.
+ * Users suggested within the repeat window are never picked again.
+ * @param {Object} user - User document with SUGGESTION_USER_FIELDS
+ * @param {Object} [options]
+ * @param {number} [options.radiusKm] - Radius applied when today's suggestion is first chosen
+ * @returns {Promise<{ suggestion: Object, candidate: Object }|null>} History entry and suggested user
+ */
+export const getOrCreateDailySuggestion = async (user, { radiusKm } = {}) => {
+  const timezone = isValidTimezone(user.timezone) ? user.timezone : "UTC";
+  const day = localDay(timezone);
+
+  const found = await findDailySuggestion(user);
+  if (found) return found;
+  // Replaced below when the suggested user was blocked or is no longer visible
+  const existing = await DailySuggestion.exists({ user: user._id, day });
+
+  const since = new Date(Date.now() - repeatWindowDays() * DAY_MS);
+  const recentIds = await DailySuggestion.distinct("suggestedUser", { user: user._id, createdAt: { $gte: since } });
+
+  const best = await pickDailySuggestion(user, { radiusKm, excludeIds: recentIds });
+  if (!best) return null;
+
+  // Upsert so concurrent requests for the same day settle on a single entry
+  const suggestion = await DailySuggestion.findOneAndUpdate(
+    { user: user._id, day },
+    existing
+      ? { suggestedUser: best.candidate._id, score: best.score, breakdown: best.breakdown, outcome: "pending", $unset: { outcomeAt: 1 } }
+      : { $setOnInsert: { suggestedUser: best.candidate._id, timezone, score: best.score, breakdown: best.breakdown } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const candidate = String(suggestion.suggestedUser) === String(best.candidate._id)
+    ? best.candidate
+    : await loadSuggestedUser(suggestion.suggestedUser);
+  return candidate ? { suggestion, candidate } : null;
+};
+
+/**
+ * Shape a daily suggestion for API responses: public fields, approximate distance and score
+ * @param {Object} entry - Result of getOrCreateDailySuggestion
+ * @param {Object} origin - GeoJSON point of the user receiving the suggestion
+ * @returns {Object} Response payload
+ */
+export const formatSuggestion = ({ suggestion, candidate }, origin) => {
+  const profile = { _id: candidate._id };
+  for (const field of SUGGESTION_FIELDS) profile[field] = candidate[field];
+  return {
+    ...profile,
+    distance: distanceBucket(origin, candidate.geo),
+    compatibility: { score: suggestion.score, breakdown: suggestion.breakdown },
+    suggestionId: suggestion._id,
+    day: suggestion.day,
+    outcome: suggestion.outcome,
+  };
+};
@@ -0,0 +1,67 @@
+import DiscoveryPreference from "../models/DiscoveryPreference.js";
+import Match from "../models/Match.js";
+import { hasPoint, withinRadius } from "./geo.js";
+
+/**
+ * Load a user's discovery preferences, falling back to an unsaved default document
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Preference document
+ */
+export const getDiscoveryPreferences = async (userId) => {
+  const prefs = await DiscoveryPreference.findOne({ user: userId });
+  return prefs || new DiscoveryPreference({ user: userId });
+};
+
+/**
+ * IDs of profiles the user already liked or passed on
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Decided profile IDs
+ */
+export const getDecidedProfileIds = (userId) => Match.distinct("matchedUserId", { userId });
+
+/**
+ * Build the User query for profiles a user may discover
+ * @param {Object} options
+ * @param {string} options.userId - The user doing the discovery (always excluded)
+ * @param {Object} [options.preferences] - Discovery preferences to apply
+ * @param {Array} [options.excludeIds] - Additional user IDs to leave out
+ * @param {Object} [options.origin] - GeoJSON point of the user doing the discovery
+ * @param {number} [options.radiusKm] - Only include profiles within this distance of `origin`
+ * @returns {Object} Mongo filter for the User collection
+ */
+export const buildDiscoveryFilter = ({ userId, preferences, excludeIds = [], origin, radiusKm }) => {
+  const filter = {
+    _id: { $nin: [userId, ...excludeIds] },
+    visible: true,
+    visibilityApproved: true,
+    suspended: { $ne: true },
+    isAdmin: { $ne: true },
+  };
+
+  if (radiusKm && hasPoint(origin)) filter.geo = withinRadius(origin, radiusKm);
+
+  if (!preferences) return filter;
+
+  if (preferences.minAge != null || preferences.maxAge != null) {
+    filter.age = {};
+    if (preferences.minAge != null) filter.age.$gte = preferences.minAge;
+    if (preferences.maxAge != null) filter.age.$lte = preferences.maxAge;
+  }
+  if (preferences.genders?.length) filter.gender = { $in: preferences.genders };
+  if (preferences.interests?.length) filter.interests = { $in: preferences.interests };
+  if (preferences.verifiedOnly) filter.isVerified = true;
+
+  return filter;
+};
+
+/**
+ * Resolve the search radius: an explicit `?radius=` wins over the saved maxDistanceKm
+ * @param {string} [queryRadius] - Raw radius query parameter in km
+ * @param {Object} [preferences] - Discovery preferences
+ * @returns {number|null|undefined} Radius in km, null for none, undefined if the query value is invalid
+ */
+export const resolveRadiusKm = (queryRadius, preferences) => {
+  if (queryRadius === undefined || queryRadius === "") return preferences?.maxDistanceKm ?? null;
+  const km = Number(queryRadius);
+  return Number.isFinite(km) && km >= 1 && km <= 500 ? km : undefined;
+};
@@ -0,0 +1,140 @@
+import DeviceKey from "../models/DeviceKey.js";
+
+// Envelope and key formats are documented in SECURITY.md. The server checks their shape
+// and who they are addressed to; it has no keys to read them.
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_TYPES = ["prekey", "message"];
+export const MAX_DEVICES_PER_USER = 5;
+export const MAX_ONE_TIME_PREKEYS = 200;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_HEADER_LENGTH = 2048;
+const MAX_CIPHERTEXT_LENGTH = 87384; // 64 KiB once decoded
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+// Curve25519 keys (32 bytes, 33 with a type prefix) or uncompressed P-256 keys from WebCrypto
+const PUBLIC_KEY_BYTES = [32, 33, 65];
+const SIGNATURE_BYTES = 64;
+
+const isBase64 = (value, maxLength) =>
+  typeof value === "string" && value.length > 0 && value.length <= maxLength && BASE64_PATTERN.test(value);
+
+const decodedLength = (value) => Buffer.from(value, "base64").length;
+
+const isPublicKey = (value) => isBase64(value, 100) && PUBLIC_KEY_BYTES.includes(decodedLength(value));
+
+const isKeyId = (value) => Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+
+const deviceRef = (userId, deviceId) => `${userId}:${deviceId}`;
+
+/**
+ * Whether a client-chosen device ID is acceptable
+ * @param {string} deviceId - The device ID
+ * @returns {boolean}
+ */
+export const isValidDeviceId = (deviceId) => typeof deviceId === "string" && DEVICE_ID_PATTERN.test(deviceId);
+
+/**
+ * Check a list of one-time prekeys
+ * @param {Array<{keyId: number, publicKey: string}>} preKeys - Keys to upload
+ * @returns {string|null} What is wrong, or null when valid
+ */
+export const validatePreKeys = (preKeys) => {
+  if (!Array.isArray(preKeys)) return "oneTimePreKeys must be an array";
+  if (preKeys.length > MAX_PREKEYS_PER_UPLOAD) return `Upload at most ${MAX_PREKEYS_PER_UPLOAD} prekeys at a time`;
+
+  const ids = new Set();
+  for (const preKey of preKeys) {
+    if (!isKeyId(preKey?.keyId) || !isPublicKey(preKey?.publicKey)) return "Invalid one-time prekey";
+    if (ids.has(preKey.keyId)) return "Duplicate prekey keyId";
+    ids.add(preKey.keyId);
+  }
+  return null;
+};
+
+/**
+ * Check a device key bundle upload
+ * @param {Object} body - `{ identityKey, signedPreKey: { keyId, publicKey, signature }, oneTimePreKeys? }`
+ * @returns {string|null} What is wrong, or null when valid
+ */
+export const validateKeyBundle = (body) => {
+  const { identityKey, signedPreKey, oneTimePreKeys = [] } = body || {};
+  if (!isPublicKey(identityKey)) return "Invalid identityKey";
+  if (
+    !isKeyId(signedPreKey?.keyId) ||
+    !isPublicKey(signedPreKey?.publicKey) ||
+    !isBase64(signedPreKey?.signature, 100) ||
+    decodedLength(signedPreKey.signature) !== SIGNATURE_BYTES
+  ) {
+    return "Invalid signedPreKey";
+  }
+  return validatePreKeys(oneTimePreKeys);
+};
+
+/**
+ * Check the envelopes of an encrypted message
+ * @param {Object} body - `{ v, senderDeviceId, envelopes: [{ userId, deviceId, type, header, ciphertext }] }`
+ * @param {Object} [options]
+ * @param {number} [options.users] - Users in the conversation, sender included (2 for direct messages)
+ * @returns {string|null} What is wrong, or null when valid
+ */
+export const validateEnvelopes = ({ v, senderDeviceId, envelopes } = {}, { users = 2 } = {}) => {
+  if (v !== ENVELOPE_VERSION) return `Unsupported envelope version (expected ${ENVELOPE_VERSION})`;
+  if (!isValidDeviceId(senderDeviceId)) return "Invalid senderDeviceId";
+  if (!Array.isArray(envelopes) || envelopes.length > users * MAX_DEVICES_PER_USER) return "Invalid envelopes";
+
+  const seen = new Set();
+  for (const envelope of envelopes) {
+    const { userId, deviceId, type, header, ciphertext } = envelope || {};
+    if (typeof userId !== "string" || !userId || !isValidDeviceId(deviceId)) return "Invalid envelope recipient";
+    if (!ENVELOPE_TYPES.includes(type)) return "Invalid envelope type";
+    if (!isBase64(header, MAX_HEADER_LENGTH) || !isBase64(ciphertext, MAX_CIPHERTEXT_LENGTH)) return "Invalid envelope payload";
+
+    const ref = deviceRef(userId, deviceId);
+    if (seen.has(ref)) return "Duplicate envelope for a device";
+    seen.add(ref);
+  }
+  return null;
+};
+
+/**
+ * Compare a message's envelopes with the devices that must receive it: every device of the
+ * recipients and every other device of the sender
+ * @param {Object} params
+ * @param {string} params.senderId - Sending user
+ * @param {string} params.senderDeviceId - Device the message was encrypted on
+ * @param {Array<string>} params.recipientIds - Receiving users (the other group members for group messages)
+ * @param {Array<Object>} params.envelopes - Validated envelopes
+ * @returns {Promise<{error?: string, missingDevices: Array<Object>, staleDevices: Array<Object>}>}
+ */
+export const checkDeviceCoverage = async ({ senderId, senderDeviceId, recipientIds, envelopes }) => {
+  const sender = String(senderId);
+  const recipients = [...new Set(recipientIds.map(String))].filter((id) => id !== sender);
+  const devices = await DeviceKey.find({ user: { $in: [sender, ...recipients] } }).select("user deviceId").lean();
+
+  if (!devices.some((d) => String(d.user) === sender && d.deviceId === senderDeviceId)) {
+    return { error: "Unknown sending device; upload its keys first", missingDevices: [], staleDevices: [] };
+  }
+  const withoutDevices = recipients.filter((id) => !devices.some((d) => String(d.user) === id));
+  if (withoutDevices.length) {
+    const error = recipients.length === 1
+      ? "Recipient has not set up encrypted messaging"
+      : `${withoutDevices.length} member(s) have not set up encrypted messaging`;
+    return { error, missingDevices: [], staleDevices: [] };
+  }
+
+  const expected = new Map();
+  devices
+    .filter((d) => !(String(d.user) === sender && d.deviceId === senderDeviceId))
+    .forEach((d) => expected.set(deviceRef(d.user, d.deviceId), { userId: String(d.user), deviceId: d.deviceId }));
+  const addressed = new Map(envelopes.map((e) => [deviceRef(e.userId, e.deviceId), { userId: e.userId, deviceId: e.deviceId }]));
+
+  const missingDevices = [...expected].filter(([ref]) => !addressed.has(ref)).map(([, d]) => d);
+  const staleDevices = [...addressed].filter(([ref]) => !expected.has(ref)).map(([, d]) => d);
+
+  DeviceKey.updateOne({ user: sender, deviceId: senderDeviceId }, { lastSeenAt: new Date() }).catch((err) =>
+    console.error("Failed to update device lastSeenAt:", err.message)
+  );
+
+  return { missingDevices, staleDevices };
+};
@@ -1,82 +1,133 @@
 import crypto from 'crypto';
-import bcrypt from 'bcryptjs';
+import fs from 'fs';
+
+// Server-side ("at rest") message encryption for clients that can't do E2EE yet.
+// AES-256-GCM with a random 96-bit IV per message and keys from a versioned key ring,
+// so keys can be rotated: new messages use the current key, older ones keep decrypting
+// with the key they name until scripts/rotateMessageKeys.js moves them over.
+//
+// Payload: "gcm1.<keyId>.<iv>.<authTag>.<ciphertext>" (base64url parts)
+const ALGORITHM = 'aes-256-gcm';
+const PAYLOAD_PREFIX = 'gcm1';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+let keyRing = null;
+
+const parseKeys = (entries) => {
+  const keys = new Map();
+  entries.forEach(([id, value]) => {
+    const key = Buffer.from(String(value || ''), 'base64');
+    if (!KEY_ID_PATTERN.test(id)) throw new Error(`Invalid message key id "${id}"`);
+    if (key.length !== KEY_BYTES) throw new Error(`Message key "${id}" must be ${KEY_BYTES} bytes, base64-encoded`);
+    keys.set(id, key);
+  });
+  return keys;
+};
+
+// MESSAGE_KEYRING_FILE (a stand-in for a KMS) wins over the MESSAGE_ENCRYPTION_KEYS variable
+const loadKeyRing = () => {
+  let keys;
+  let currentKeyId;
+
+  if (process.env.MESSAGE_KEYRING_FILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.MESSAGE_KEYRING_FILE, 'utf8'));
+    keys = parseKeys(Object.entries(file.keys || {}));
+    currentKeyId = file.currentKeyId;
+  } else {
+    // "<id>:<base64 key>,<id>:<base64 key>"
+    const entries = String(process.env.MESSAGE_ENCRYPTION_KEYS || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)]);
+    keys = parseKeys(entries);
+    currentKeyId = process.env.MESSAGE_ENCRYPTION_KEY_ID || entries[0]?.[0];
+  }
+
+  if (keys.size === 0) throw new Error('Message encryption keys are not configured (MESSAGE_ENCRYPTION_KEYS or MESSAGE_KEYRING_FILE)');
+  if (!keys.has(currentKeyId)) throw new Error(`Current message key "${currentKeyId}" is not in the key ring`);
+  return { keys, currentKeyId };
+};
+
+// Read lazily: server.js imports controllers before loading .env
+const getKeyRing = () => {
+  if (!keyRing) keyRing = loadKeyRing();
+  return keyRing;
+};
 
 /**
- * Generate a random encryption key
- * @returns {string} Random encryption key
+ * Drop the cached key ring so the next call reads the configuration again
  */
-export const generateEncryptionKey = () => {
-  return crypto.randomBytes(32).toString('hex');
+export const reloadKeyRing = () => {
+  keyRing = null;
 };
 
 /**
- * Encrypt message content
- * @param {string} message - The message to encrypt
- * @param {string} key - The encryption key
- * @returns {string} Encrypted message
+ * ID of the key new messages are encrypted with
+ * @returns {string}
  */
-export const encryptMessage = (message, key) => {
-  try {
-    const algorithm = 'aes-256-cbc';
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher(algorithm, key);
-    let encrypted = cipher.update(message, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return iv.toString('hex') + ':' + encrypted;
-  } catch (error) {
-    console.error('Encryption error:', error);
-    throw new Error('Failed to encrypt message');
-  }
+export const currentKeyId = () => getKeyRing().currentKeyId;
+
+/**
+ * Key ID a payload was encrypted with
+ * @param {string} payload - Output of encryptText
+ * @returns {string|null} null when the payload isn't in the key-ring format
+ */
+export const payloadKeyId = (payload) => {
+  const parts = String(payload || '').split('.');
+  return parts.length === 5 && parts[0] === PAYLOAD_PREFIX ? parts[1] : null;
 };
 
 /**
- * Decrypt message content
- * @param {string} encryptedMessage - The encrypted message
- * @param {string} key - The decryption key
- * @returns {string} Decrypted message
+ * Encrypt text with the current key
+ * @param {string} plaintext - Text to encrypt
+ * @param {string} context - Associated data the payload is bound to (e.g. the conversation);
+ *   decrypting with a different context fails
+ * @returns {{payload: string, keyId: string}} Payload to store and the key it used
  */
-export const decryptMessage = (encryptedMessage, key) => {
-  try {
-    const algorithm = 'aes-256-cbc';
-    const parts = encryptedMessage.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    const decipher = crypto.createDecipher(algorithm, key);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption error:', error);
-    throw new Error('Failed to decrypt message');
-  }
+export const encryptText = (plaintext, context) => {
+  const { keys, currentKeyId: keyId } = getKeyRing();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(keyId), iv);
+  cipher.setAAD(Buffer.from(String(context), 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  const payload = [PAYLOAD_PREFIX, keyId, iv.toString('base64url'), tag.toString('base64url'), ciphertext.toString('base64url')].join('.');
+  return { payload, keyId };
 };
 
 /**
- * Hash a value using bcrypt
- * @param {string} value - The value to hash
- * @returns {string} Hashed value
+ * Decrypt a payload from encryptText with whichever ring key it names
+ * @param {string} payload - Stored payload
+ * @param {string} context - Same associated data used when encrypting
+ * @returns {string} The plaintext
+ * @throws {Error} When the key is unknown or the payload was tampered with
  */
-export const hashValue = async (value) => {
-  try {
-    const saltRounds = 10;
-    return await bcrypt.hash(value, saltRounds);
-  } catch (error) {
-    console.error('Hashing error:', error);
-    throw new Error('Failed to hash value');
-  }
+export const decryptText = (payload, context) => {
+  const keyId = payloadKeyId(payload);
+  if (!keyId) throw new Error('Unsupported encrypted payload');
+
+  const key = getKeyRing().keys.get(keyId);
+  if (!key) throw new Error(`Message key "${keyId}" is not in the key ring`);
+
+  const [, , iv, tag, ciphertext] = payload.split('.');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'), { authTagLength: 16 });
+  decipher.setAAD(Buffer.from(String(context), 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
 };
 
 /**
- * Compare a value with its hash
- * @param {string} value - The value to compare
- * @param {string} hash - The hash to compare against
- * @returns {boolean} Whether the value matches the hash
+ * Re-encrypt a payload with the current key (no-op when it already uses it)
+ * @param {string} payload - Stored payload
+ * @param {string} context - Associated data it is bound to
+ * @returns {{payload: string, keyId: string, changed: boolean}}
  */
-export const compareHash = async (value, hash) => {
-  try {
-    return await bcrypt.compare(value, hash);
-  } catch (error) {
-    console.error('Hash comparison error:', error);
-    throw new Error('Failed to compare hash');
-  }
-};
\ No newline at end of file
+export const reencryptText = (payload, context) => {
+  const keyId = payloadKeyId(payload);
+  if (keyId === currentKeyId()) return { payload, keyId, changed: false };
+  return { ...encryptText(decryptText(payload, context), context), changed: true };
+};
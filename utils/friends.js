@@ -0,0 +1,42 @@
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { isBlockedBetween } from "./blocks.js";
+import { emitToUser } from "./socket.js";
+
+/**
+ * Send a friend request: stores it on the recipient, creates their `friend_request`
+ * notification and pushes a `friendRequest` socket event
+ * @param {Object} app - Express app holding `io` and `userSockets` in locals
+ * @param {Object} sender - The requesting user (with `name` and `friends`)
+ * @param {string} userId - The user being asked
+ * @returns {Promise<{error?: {status: number, message: string}}>}
+ */
+export const sendFriendRequest = async (app, sender, userId) => {
+  const user = await User.findById(userId).select("suspended");
+  if (!user) return { error: { status: 404, message: "User not found" } };
+  if (user.suspended) return { error: { status: 403, message: "This user is suspended" } };
+  if (await isBlockedBetween(sender._id, userId)) {
+    return { error: { status: 403, message: "You cannot send a friend request to this user" } };
+  }
+  if ((sender.friends || []).some((id) => String(id) === String(userId))) {
+    return { error: { status: 400, message: "You are already friends with this user" } };
+  }
+
+  // Only the first of several identical requests is stored and announced
+  const added = await User.findOneAndUpdate(
+    { _id: userId, friendRequests: { $ne: sender._id } },
+    { $addToSet: { friendRequests: sender._id } }
+  );
+  if (!added) return { error: { status: 400, message: "Friend request already sent" } };
+
+  const message = `${sender.name} sent you a friend request`;
+  await Notification.create({
+    userId,
+    type: "friend_request",
+    title: "New friend request",
+    message,
+    relatedUser: sender._id,
+  });
+  emitToUser(app, userId, "friendRequest", { from: sender._id, message, timestamp: new Date() });
+  return {};
+};
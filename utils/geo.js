@@ -0,0 +1,76 @@
+export const EARTH_RADIUS_KM = 6378.1;
+
+// 2 decimal places is roughly 1.1 km at the equator: enough for "nearby", not enough to find a home
+const COORDINATE_DECIMALS = 2;
+
+const DISTANCE_BUCKETS_KM = [5, 10, 25, 50, 100];
+
+const round = (value) => Number(value.toFixed(COORDINATE_DECIMALS));
+
+// Only numbers and decimal strings count; Number() would turn null, "", " ", [] and booleans into 0 or 1
+const DECIMAL_PATTERN = /^\s*[-+]?(\d+(\.\d*)?|\.\d+)\s*$/;
+
+const toDegrees = (value) => {
+  if (typeof value === "string") value = DECIMAL_PATTERN.test(value) ? Number(value) : null;
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Build a privacy-rounded GeoJSON point
+ * @param {number|string} latitude - Latitude in degrees
+ * @param {number|string} longitude - Longitude in degrees
+ * @returns {Object|null} GeoJSON point, or null if the coordinates are invalid
+ */
+export const toCoarsePoint = (latitude, longitude) => {
+  const lat = toDegrees(latitude);
+  const lng = toDegrees(longitude);
+  if (lat === null || lng === null) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return { type: "Point", coordinates: [round(lng), round(lat)] };
+};
+
+/**
+ * Check whether a stored value is a usable GeoJSON point
+ * @param {Object} point - Candidate point
+ * @returns {boolean}
+ */
+export const hasPoint = (point) => Array.isArray(point?.coordinates) && point.coordinates.length === 2;
+
+/**
+ * Mongo condition matching points within a radius of an origin
+ * @param {Object} origin - GeoJSON point
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Object} $geoWithin condition
+ */
+export const withinRadius = (origin, radiusKm) => ({
+  $geoWithin: { $centerSphere: [origin.coordinates, radiusKm / EARTH_RADIUS_KM] },
+});
+
+/**
+ * Great-circle distance between two GeoJSON points (haversine)
+ * @param {Object} a - GeoJSON point
+ * @param {Object} b - GeoJSON point
+ * @returns {number} Distance in kilometres
+ */
+export const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Approximate, display-only distance between two users
+ * @param {Object} a - GeoJSON point
+ * @param {Object} b - GeoJSON point
+ * @returns {string|null} Bucket label such as "< 5 km", or null when either point is missing
+ */
+export const distanceBucket = (a, b) => {
+  if (!hasPoint(a) || !hasPoint(b)) return null;
+  const km = distanceKm(a, b);
+  const limit = DISTANCE_BUCKETS_KM.find((bucket) => km < bucket);
+  return limit ? `< ${limit} km` : `${DISTANCE_BUCKETS_KM[DISTANCE_BUCKETS_KM.length - 1]}+ km`;
+};
@@ -1,10 +1,18 @@
 import jwt from "jsonwebtoken";
 
-const JWT_SECRET = process.env.JWT_SECRET || "your_secret_key";
+// Read lazily so the secret comes from .env even when this module is imported first.
+// There is deliberately no fallback: signing with a guessable default would let anyone forge tokens.
+const jwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET is not defined");
+  return secret;
+};
+
+export const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
 
 export const verifyToken = (token) => {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return jwt.verify(token, jwtSecret());
   } catch (err) {
     console.error("JWT verification error:", err.message);
     return null;
@@ -13,9 +21,18 @@ export const verifyToken = (token) => {
 
 export const signToken = (payload, expiresIn = "7d") => {
   try {
-    return jwt.sign(payload, JWT_SECRET, { expiresIn });
+    return jwt.sign(payload, jwtSecret(), { expiresIn });
   } catch (err) {
     console.error("JWT signing error:", err.message);
     return null;
   }
 };
+
+/**
+ * Short-lived access token tied to a device session
+ * @param {Object} user - The user
+ * @param {string} sessionId - Session the token belongs to (`sid` claim)
+ * @returns {string}
+ */
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign({ _id: user._id, id: user._id, sid: String(sessionId) }, jwtSecret(), { expiresIn: accessTokenTtl() });
@@ -0,0 +1,160 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * MINUTE_MS;
+const COUNTER_RETENTION_MS = 24 * 60 * MINUTE_MS;
+
+const envInt = (name, fallback) => parseInt(process.env[name] || "", 10) || fallback;
+
+// Read lazily: server.js imports controllers before loading .env
+const limits = () => ({
+  account: {
+    maxFailures: envInt("LOGIN_MAX_FAILURES", 5),
+    windowMs: envInt("LOGIN_WINDOW_MINUTES", 15) * MINUTE_MS,
+    lockMs: envInt("LOGIN_LOCKOUT_MINUTES", 15) * MINUTE_MS,
+    // No delay for the first couple of typos, then 1s, 2s, 4s... between attempts
+    freeFailures: 2,
+  },
+  // Much higher, so a campus or office behind one NAT address isn't locked out by a few users
+  ip: {
+    maxFailures: envInt("LOGIN_IP_MAX_FAILURES", 50),
+    windowMs: envInt("LOGIN_WINDOW_MINUTES", 15) * MINUTE_MS,
+    lockMs: envInt("LOGIN_LOCKOUT_MINUTES", 15) * MINUTE_MS,
+    freeFailures: Infinity,
+  },
+});
+
+const limitFor = (key) => limits()[key.startsWith("ip:") ? "ip" : "account"];
+
+/**
+ * Throttle keys for a login attempt
+ * @param {string} scope - "user" or "admin"
+ * @param {string} identifier - Email or username as typed (normalised here)
+ * @param {string} ip - Client IP
+ * @returns {{account: string, ip: string}}
+ */
+export const loginKeys = (scope, identifier, ip) => ({
+  account: `${scope}:${String(identifier || "").toLowerCase().trim()}`,
+  ip: `ip:${ip || "unknown"}`,
+});
+
+/**
+ * Whether a login attempt may proceed for all the given keys
+ * @param {Array<string>} keys - Throttle keys (see loginKeys)
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number, locked?: boolean}>}
+ */
+export const checkLoginAllowed = async (keys) => {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({ key: { $in: keys } }).lean();
+
+  let waitUntil = 0;
+  let locked = false;
+  attempts.forEach((attempt) => {
+    const lockedUntil = attempt.lockedUntil?.getTime() || 0;
+    const nextAttemptAt = attempt.nextAttemptAt?.getTime() || 0;
+    if (lockedUntil > now) locked = true;
+    waitUntil = Math.max(waitUntil, lockedUntil, nextAttemptAt);
+  });
+
+  if (waitUntil <= now) return { allowed: true };
+  return { allowed: false, locked, retryAfterSeconds: Math.ceil((waitUntil - now) / 1000) };
+};
+
+// $inc on an upsert, so parallel failures each get their own count; a racing insert on the
+// unique key is retried once (MongoDB only retries it by itself from 4.2)
+const countFailure = async (key, now) => {
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now },
+    $max: { expiresAt: new Date(now.getTime() + COUNTER_RETENTION_MS) },
+    $setOnInsert: { windowStartedAt: now, lockouts: 0 },
+  };
+  try {
+    return await LoginAttempt.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return LoginAttempt.findOneAndUpdate({ key }, update, { new: true });
+  }
+};
+
+/**
+ * Count a failed login against every key; locks a key once it reaches its limit
+ * @param {Array<string>} keys - Throttle keys (see loginKeys)
+ * @returns {Promise<Array<{key: string, lockedUntil: Date}>>} Keys locked by this failure
+ */
+export const recordLoginFailure = async (keys) => {
+  const now = new Date();
+  const newlyLocked = [];
+
+  for (const key of keys) {
+    const limit = limitFor(key);
+
+    // Start a fresh window once the previous one (and any lock) is over
+    await LoginAttempt.updateOne(
+      {
+        key,
+        windowStartedAt: { $lt: new Date(now.getTime() - limit.windowMs) },
+        lockedUntil: { $not: { $gt: now } },
+      },
+      { $set: { failures: 0, windowStartedAt: now } }
+    );
+
+    const attempt = await countFailure(key, now);
+
+    // Exactly one of several parallel failures sees the count reach the limit and locks the key;
+    // the lockouts guard skips it if the counter was cleared meanwhile
+    if (attempt.failures === limit.maxFailures) {
+      const lockMs = Math.min(limit.lockMs * 2 ** attempt.lockouts, MAX_LOCK_MS);
+      const lockedUntil = new Date(now.getTime() + lockMs);
+      const locked = await LoginAttempt.updateOne(
+        { key, lockouts: attempt.lockouts },
+        {
+          $inc: { lockouts: 1 },
+          $set: { failures: 0, lockedUntil, windowStartedAt: lockedUntil },
+          $unset: { nextAttemptAt: 1 },
+          $max: { expiresAt: new Date(lockedUntil.getTime() + COUNTER_RETENTION_MS) },
+        }
+      );
+      if (locked.modifiedCount) newlyLocked.push({ key, lockedUntil });
+    } else if (attempt.failures > limit.freeFailures && attempt.failures < limit.maxFailures) {
+      const delayMs = 1000 * 2 ** (attempt.failures - limit.freeFailures - 1);
+      await LoginAttempt.updateOne({ key }, { $max: { nextAttemptAt: new Date(now.getTime() + delayMs) } });
+    }
+  }
+
+  return newlyLocked;
+};
+
+/**
+ * Reset an account's counter after a successful login (IP counters are left alone,
+ * so one valid account can't be used to wipe an attacker's IP record)
+ * @param {string} accountKey - Account throttle key
+ * @returns {Promise<void>}
+ */
+export const clearLoginFailures = async (accountKey) => {
+  await LoginAttempt.updateOne(
+    { key: accountKey },
+    { $set: { failures: 0, lockouts: 0 }, $unset: { nextAttemptAt: 1, lockedUntil: 1 } }
+  );
+};
+
+/**
+ * Answer 429 with Retry-After when any key is throttled. The body is the same
+ * whether or not the account exists.
+ * @param {{account: string, ip: string}} keys - From loginKeys
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} true when the response was sent
+ */
+export const rejectIfThrottled = async (keys, res) => {
+  const { allowed, locked, retryAfterSeconds } = await checkLoginAllowed([keys.account, keys.ip]);
+  if (allowed) return false;
+
+  res.set("Retry-After", String(retryAfterSeconds));
+  res.status(429).json({
+    message: locked
+      ? `Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`
+      : `Please wait ${retryAfterSeconds} second(s) before trying again.`,
+    retryAfter: retryAfterSeconds,
+  });
+  return true;
+};
@@ -0,0 +1,53 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const outboxDir = () => path.resolve(__dirname, "..", process.env.MAIL_OUTBOX_DIR || "outbox");
+const mailFrom = () => process.env.MAIL_FROM || "Vauju <no-reply@yugalmeet.com>";
+
+// Built-in transports. Each receives a complete message and resolves once it has been handed off.
+const transports = {
+  // Writes every message as a JSON file, so flows can be exercised without an SMTP server
+  outbox: async (message) => {
+    const dir = outboxDir();
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { id: path.basename(file) };
+  },
+  console: async (message) => {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    return { id: null };
+  },
+};
+
+let customTransport = null;
+
+/**
+ * Replace the transport, e.g. with an SMTP or provider client in production
+ * @param {Function|null} transport - async (message) => ({ id }); null restores MAIL_TRANSPORT
+ */
+export const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Send an email through the configured transport (MAIL_TRANSPORT: outbox | console, default outbox)
+ * @param {Object} mail
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain-text body
+ * @param {string} [mail.html] - Optional HTML body
+ * @returns {Promise<{id: string|null}>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const message = { from: mailFrom(), to, subject, text, html, date: new Date().toISOString() };
+  const name = process.env.MAIL_TRANSPORT || "outbox";
+  const transport = customTransport || transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  return transport(message);
+};
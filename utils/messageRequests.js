@@ -0,0 +1,122 @@
+import User from "../models/User.js";
+import Match from "../models/Match.js";
+import Conversation from "../models/Conversation.js";
+import { directConversationKey } from "./conversations.js";
+
+// privacy.messageRequests:
+// "everyone"    - anyone can message the user directly
+// "requests"    - people who aren't friends or mutual matches land in the requests folder (default)
+// "connections" - only friends and mutual matches can message the user
+export const MESSAGE_REQUEST_SETTINGS = ["everyone", "requests", "connections"];
+export const DEFAULT_MESSAGE_REQUEST_SETTING = "requests";
+
+/**
+ * Which of `candidateIds` are friends or mutual matches of `userId`
+ * @param {string} userId - The user
+ * @param {Array<string>} candidateIds - Users to check
+ * @returns {Promise<Set<string>>} Connected user IDs as strings
+ */
+export const getConnectedIdSet = async (userId, candidateIds) => {
+  const [me, matches] = await Promise.all([
+    User.findById(userId).select("friends").lean(),
+    Match.find({ userId, matchedUserId: { $in: candidateIds }, status: "accepted" }).select("matchedUserId").lean(),
+  ]);
+  const candidates = new Set(candidateIds.map(String));
+  return new Set([
+    ...(me?.friends || []).map(String).filter((id) => candidates.has(id)),
+    ...matches.map((m) => String(m.matchedUserId)),
+  ]);
+};
+
+/**
+ * Whether `fromId` can open a conversation with each of `userIds` without a request
+ * (they are connected, or the user accepts messages from everyone)
+ * @param {string} fromId - The user starting the conversation (e.g. adding people to a group)
+ * @param {Array<string>} userIds - The users being contacted
+ * @returns {Promise<Set<string>>} The IDs that can be contacted directly
+ */
+export const getOpenToIdSet = async (fromId, userIds) => {
+  const [connected, users] = await Promise.all([
+    getConnectedIdSet(fromId, userIds),
+    User.find({ _id: { $in: userIds }, "privacy.messageRequests": "everyone" }).select("_id").lean(),
+  ]);
+  users.forEach((u) => connected.add(String(u._id)));
+  return connected;
+};
+
+/**
+ * Decide how a direct message from one user to another is handled
+ * @param {string} fromId - Sender
+ * @param {string} toId - Recipient
+ * @returns {Promise<{status: "open"|"request"|"limited"|"closed", accept?: boolean}>}
+ *   open: deliver normally (`accept`: this message also accepts a pending request);
+ *   request: deliver into the recipient's requests folder; limited: the sender already has a
+ *   request waiting; closed: the recipient only takes messages from friends and matches
+ */
+export const getMessagePolicy = async (fromId, toId) => {
+  const from = String(fromId);
+  const to = String(toId);
+  if (from === to) return { status: "open" };
+
+  const conversation = await Conversation.findOne({ key: directConversationKey(from, to) }).select("request").lean();
+  const request = conversation?.request?.status ? conversation.request : null;
+  if (conversation && !request) return { status: "open" }; // chats from before message requests
+  if (request?.status === "accepted") return { status: "open" };
+  // Replying to a request accepts it
+  if (request && String(request.to) === from) return { status: "open", accept: true };
+
+  if ((await getConnectedIdSet(from, [to])).has(to)) return { status: "open", accept: Boolean(request) };
+
+  const recipient = await User.findById(to).select("privacy").lean();
+  const setting = recipient?.privacy?.messageRequests || DEFAULT_MESSAGE_REQUEST_SETTING;
+  if (request) {
+    // A declined request stays closed; a pending one opens if the recipient now takes messages from everyone
+    return request.status === "pending" && setting === "everyone" ? { status: "open", accept: true } : { status: "limited" };
+  }
+  if (setting === "everyone") return { status: "open" };
+  if (setting === "connections") return { status: "closed" };
+  return { status: "request" };
+};
+
+/**
+ * Open a message request before its first message is stored. The conversation is created
+ * atomically, so of several parallel first messages only one becomes the request.
+ * @param {string} fromId - Sender
+ * @param {string} toId - Recipient
+ * @returns {Promise<{status: "open"|"request"|"limited"|"closed", accept?: boolean}>} `request` when
+ *   this call opened it, otherwise the policy for the conversation that already exists
+ */
+export const claimMessageRequest = async (fromId, toId) => {
+  const from = String(fromId);
+  const to = String(toId);
+  const now = new Date();
+  const existing = await Conversation.findOneAndUpdate(
+    { key: directConversationKey(from, to) },
+    {
+      $setOnInsert: {
+        type: "direct",
+        participants: [from, to],
+        lastMessageAt: now,
+        request: { status: "pending", from, to, createdAt: now },
+      },
+    },
+    { upsert: true, new: false }
+  ).select("_id").lean();
+  if (!existing) return { status: "request" };
+  return getMessagePolicy(from, to);
+};
+
+/**
+ * Undo claimMessageRequest when the first message couldn't be stored
+ * @param {string} fromId - Sender
+ * @param {string} toId - Recipient
+ * @returns {Promise<void>}
+ */
+export const releaseMessageRequest = async (fromId, toId) => {
+  await Conversation.deleteOne({
+    key: directConversationKey(fromId, toId),
+    "request.from": String(fromId),
+    "request.status": "pending",
+    "lastMessage._id": { $exists: false },
+  });
+};
@@ -0,0 +1,152 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { signAccessToken, accessTokenTtl } from "./jwt.js";
+
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Active sessions are cached briefly so authenticated requests don't all hit the DB;
+// revocations in this process drop the entry immediately
+const CACHE_TTL_MS = 30 * 1000;
+const activeCache = new Map();
+
+const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "", 10) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens look like `<sessionId>.<secret>` so the session can be found without scanning
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const issueTokens = (user, session, secret) => ({
+  accessToken: signAccessToken(user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: accessTokenTtl(),
+  sessionId: String(session._id),
+});
+
+/**
+ * Start a device session for a user who just signed in
+ * @param {Object} user - The user
+ * @param {Object} req - Express request (user agent and IP are stored)
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: string, sessionId: string}>}
+ */
+export const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get("user-agent")?.slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+  });
+  return issueTokens(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The old refresh token stops working;
+ * presenting it again revokes the whole session.
+ * @param {string} refreshToken - Token from createSession or a previous rotation
+ * @param {Object} req - Express request
+ * @returns {Promise<{session: Object, tokens: Object}|null>} null when the token is invalid
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const hash = hashSecret(parsed.secret);
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        previousTokenHash: hash,
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: new Date(now.getTime() + refreshTokenTtlMs()),
+      },
+    },
+    { new: true }
+  ).populate("user", "-password");
+
+  if (!session) {
+    // A replayed refresh token means it leaked: end the session for everyone holding it
+    await Session.updateOne(
+      { _id: parsed.sessionId, previousTokenHash: hash, revokedAt: null },
+      { revokedAt: now, revokedReason: "refresh_token_reuse" }
+    );
+    activeCache.delete(parsed.sessionId);
+    return null;
+  }
+  if (!session.user) {
+    await revokeSession(session._id, "user_deleted");
+    return null;
+  }
+
+  return { session, tokens: issueTokens(session.user, session, secret) };
+};
+
+/**
+ * Whether a session exists and has been neither revoked nor expired
+ * @param {string} sessionId - The session ID (`sid` claim)
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const key = String(sessionId);
+  const cached = activeCache.get(key);
+  if (cached && Date.now() - cached < CACHE_TTL_MS) return true;
+
+  const active = await Session.exists({ _id: key, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (active) activeCache.set(key, Date.now());
+  else activeCache.delete(key);
+  return Boolean(active);
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - The session ID
+ * @param {string} [reason] - Stored for the session history
+ * @param {Object} [filter] - Extra conditions, e.g. `{ user }` to only revoke a user's own session
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (sessionId, reason = "logout", filter = {}) => {
+  activeCache.delete(String(sessionId));
+  const result = await Session.updateOne(
+    { ...filter, _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>}
+ */
+export const listActiveSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+
+/**
+ * Revoke every active session of a user (e.g. after a password reset)
+ * @param {string} userId - The user ID
+ * @param {string} [reason] - Stored for the session history
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = "revoked") => {
+  const sessions = await Session.find({ user: userId, revokedAt: null }).distinct("_id");
+  sessions.forEach((id) => activeCache.delete(String(id)));
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount || 0;
+};
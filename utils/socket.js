@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import { getBlockedIdSet, isBlockedBetween } from "./blocks.js";
+
+/**
+ * Emit an event to every socket a user currently has open
+ * @param {Object} app - Express app holding `io` and `userSockets` in locals
+ * @param {string} userId - Recipient user ID
+ * @param {string} event - Socket event name
+ * @param {*} data - Event payload
+ */
+export const emitToUser = (app, userId, event, data) => {
+  const io = app?.locals?.io;
+  const userSockets = app?.locals?.userSockets;
+  if (!io || !userSockets) return;
+
+  const sockets = userSockets.get(String(userId));
+  if (!sockets) return;
+  sockets.forEach((sid) => io.to(sid).emit(event, data));
+};
+
+/**
+ * Emit to every socket in a room, each with a payload built for the socket's user
+ * @param {Object} app - Express app holding `io` in locals
+ * @param {string} room - Room name
+ * @param {string} event - Socket event name
+ * @param {function(string): *} dataFor - Builds the payload for a user ID (called once per user)
+ * @returns {Promise<void>}
+ */
+export const emitToRoom = async (app, room, event, dataFor) => {
+  const io = app?.locals?.io;
+  if (!io) return;
+
+  const payloads = new Map();
+  const sockets = await io.in(room).fetchSockets();
+  sockets.forEach((socket) => {
+    const userId = socket.data.userId;
+    if (!userId) return;
+    if (!payloads.has(userId)) payloads.set(userId, dataFor(userId));
+    socket.emit(event, payloads.get(userId));
+  });
+};
+
+/**
+ * Add or remove every open socket of some users to/from a room
+ * (e.g. when they join or leave a group conversation)
+ * @param {Object} app - Express app holding `io` in locals
+ * @param {Array<string>} userIds - The users
+ * @param {string} room - Room name
+ * @param {boolean} join - true to join, false to leave
+ */
+export const setUsersInRoom = (app, userIds, room, join) => {
+  const io = app?.locals?.io;
+  if (!io || !userIds.length) return;
+  const sockets = io.in(userIds.map((id) => `user:${id}`));
+  if (join) sockets.socketsJoin(room);
+  else sockets.socketsLeave(room);
+};
+
+/**
+ * Notify and disconnect every socket a user has open (e.g. after a suspension)
+ * @param {Object} app - Express app holding `io` and `userSockets` in locals
+ * @param {string} userId - The user ID
+ * @param {string} event - Event sent before disconnecting
+ * @param {*} data - Event payload
+ */
+export const disconnectUser = (app, userId, event, data) => {
+  const io = app?.locals?.io;
+  const userSockets = app?.locals?.userSockets;
+  if (!io || !userSockets) return;
+
+  const sockets = userSockets.get(String(userId));
+  if (!sockets) return;
+  [...sockets].forEach((sid) => {
+    const socket = io.sockets.sockets.get(sid);
+    if (!socket) return;
+    socket.emit(event, data);
+    socket.disconnect(true);
+  });
+};
+
+/**
+ * Disconnect the sockets opened with one session's tokens (after logout or remote sign-out)
+ * @param {Object} app - Express app holding `io` and `userSockets` in locals
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Revoked session ID
+ */
+export const disconnectSession = (app, userId, sessionId) => {
+  const io = app?.locals?.io;
+  const userSockets = app?.locals?.userSockets;
+  if (!io || !userSockets) return;
+
+  const sockets = userSockets.get(String(userId));
+  if (!sockets) return;
+  [...sockets].forEach((sid) => {
+    const socket = io.sockets.sockets.get(sid);
+    if (!socket || String(socket.sessionId) !== String(sessionId)) return;
+    socket.emit("sessionRevoked", { message: "This session has been signed out" });
+    socket.disconnect(true);
+  });
+};
+
+/**
+ * Broadcast a user's presence to every connected socket, except users on either side of a block
+ * @param {Object} io - Socket.IO server
+ * @param {string} userId - User whose presence changed
+ * @param {boolean} online - New presence state
+ */
+export const emitPresence = async (io, userId, online) => {
+  try {
+    const blockedIds = await getBlockedIdSet(userId);
+    io.sockets.sockets.forEach((socket) => {
+      if (socket.userId && blockedIds.has(String(socket.userId))) return;
+      socket.emit("presence", { userId, online });
+    });
+  } catch (err) {
+    console.error("Presence broadcast error:", err.message);
+  }
+};
+
+/**
+ * Read the access token a client sent with the Socket.IO handshake
+ * (`io(url, { auth: { token } })`, or an Authorization header for non-browser clients)
+ * @param {Object} socket - Connecting socket
+ * @returns {string|null}
+ */
+export const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+  if (headers.authorization?.startsWith("Bearer ")) return headers.authorization.split(" ")[1];
+  return null;
+};
+
+/**
+ * Direct-message room shared by two users; the ids are sorted so both sides get the same name
+ * @param {string} userId - First user ID
+ * @param {string} otherId - Second user ID
+ * @returns {string}
+ */
+export const dmRoom = (userId, otherId) => `dm:${[String(userId), String(otherId)].sort().join(":")}`;
+
+/**
+ * Room of a group conversation; its members' sockets are joined to it
+ * @param {string} conversationId - The group conversation
+ * @returns {string}
+ */
+export const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+/**
+ * Whether a user may join a room. Supported rooms:
+ * `user:<ownId>`, `dm:<a>:<b>` where the user is one side and neither has blocked the other,
+ * and `conversation:<id>` for groups the user is a member of.
+ * @param {string} userId - Authenticated user
+ * @param {string} roomId - Requested room
+ * @returns {Promise<boolean>}
+ */
+export const canJoinRoom = async (userId, roomId) => {
+  if (typeof roomId !== "string") return false;
+  const [type, ...ids] = roomId.split(":");
+
+  if (type === "user") return ids.length === 1 && ids[0] === String(userId);
+
+  if (type === "dm" && ids.length === 2 && ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    if (roomId !== dmRoom(ids[0], ids[1]) || !ids.includes(String(userId))) return false;
+    const otherId = ids[0] === String(userId) ? ids[1] : ids[0];
+    return otherId !== String(userId) && !(await isBlockedBetween(userId, otherId));
+  }
+
+  if (type === "conversation" && ids.length === 1 && mongoose.Types.ObjectId.isValid(ids[0])) {
+    return Boolean(await Conversation.exists({ _id: ids[0], type: "group", participants: userId }));
+  }
+
+  return false;
+};
+
+/**
+ * Fixed-window rate limit for one event on one socket
+ * @param {Object} socket - The socket
+ * @param {string} event - Event name
+ * @param {{limit: number, windowMs: number}} rule - Allowed events per window
+ * @returns {boolean} false when the event should be dropped
+ */
+export const allowSocketEvent = (socket, event, { limit, windowMs }) => {
+  const buckets = socket.data.rateLimits || (socket.data.rateLimits = {});
+  const now = Date.now();
+  const bucket = buckets[event];
+
+  if (!bucket || now - bucket.startedAt >= windowMs) {
+    buckets[event] = { startedAt: now, count: 1 };
+    return true;
+  }
+
+  bucket.count += 1;
+  // Tell the client once per window, then drop silently
+  if (bucket.count === limit + 1) socket.emit("rateLimited", { event, retryAfterMs: windowMs - (now - bucket.startedAt) });
+  return bucket.count <= limit;
+};
@@ -0,0 +1,133 @@
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { v2 as cloudinary } from "cloudinary";
+
+// Uploads go to Cloudinary when it is configured, otherwise (or if Cloudinary fails) to the
+// local uploads/ directory. Public files are served statically from /uploads; private files
+// live under uploads/private, which server.js never serves, and are read through their
+// owning controller instead.
+const CLOUDINARY_FOLDER = "vauju-dating-app";
+const UPLOAD_DIR = path.resolve("uploads");
+export const PRIVATE_UPLOAD_DIR = path.join(UPLOAD_DIR, "private");
+
+/**
+ * Whether Cloudinary credentials are set
+ * @returns {boolean}
+ */
+export const isCloudinaryConfigured = () =>
+  Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+
+const storeInCloudinary = async (buffer, { folder, name, mimeType, isPrivate }) => {
+  // Same config as profileController, read here too since this may run before it
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  const result = await cloudinary.uploader.upload(`data:${mimeType};base64,${buffer.toString("base64")}`, {
+    folder: `${CLOUDINARY_FOLDER}/${folder}`,
+    public_id: name,
+    resource_type: "auto",
+    // Private assets can only be fetched through short-lived signed URLs (see privateFileUrl)
+    ...(isPrivate ? { type: "private" } : { quality: "auto", fetch_format: "auto" }),
+  });
+
+  return {
+    storage: "cloudinary",
+    publicId: result.public_id,
+    resourceType: result.resource_type,
+    format: result.format,
+    url: isPrivate ? null : result.secure_url,
+  };
+};
+
+const storeLocally = (buffer, { folder, name, extension, isPrivate }) => {
+  const dir = isPrivate ? path.join(PRIVATE_UPLOAD_DIR, folder) : UPLOAD_DIR;
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const fileName = `${name}${extension || ""}`;
+  fs.writeFileSync(path.join(dir, fileName), buffer);
+
+  return {
+    storage: "local",
+    path: path.relative(UPLOAD_DIR, path.join(dir, fileName)).split(path.sep).join("/"),
+    url: isPrivate ? null : `/uploads/${fileName}`,
+  };
+};
+
+/**
+ * Store an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.folder - Cloudinary folder / private subdirectory (e.g. "attachments")
+ * @param {string} options.name - File name without extension
+ * @param {string} options.mimeType - Content type (already validated by the caller)
+ * @param {string} [options.extension] - Extension for local files, including the dot
+ * @param {boolean} [options.isPrivate] - Keep the file off public URLs
+ * @returns {Promise<{storage: "cloudinary"|"local", url: string|null, publicId?: string, resourceType?: string, format?: string, path?: string}>}
+ */
+export const storeFile = async (buffer, options) => {
+  if (isCloudinaryConfigured()) {
+    try {
+      return await storeInCloudinary(buffer, options);
+    } catch (err) {
+      console.error("Cloudinary upload error:", err);
+    }
+  } else {
+    console.warn("⚠️ Cloudinary not configured, using local storage fallback");
+  }
+  return storeLocally(buffer, options);
+};
+
+/**
+ * Delete a file stored with storeFile. Errors are logged, not thrown.
+ * @param {Object} file - The object storeFile returned (or the fields saved from it)
+ * @returns {Promise<void>}
+ */
+export const deleteStoredFile = async (file) => {
+  try {
+    if (file.storage === "cloudinary") {
+      await cloudinary.uploader.destroy(file.publicId, {
+        resource_type: file.resourceType || "image",
+        type: file.url ? "upload" : "private",
+      });
+    } else if (file.path) {
+      await fs.promises.unlink(localFilePath(file));
+    }
+  } catch (err) {
+    console.error("Delete stored file error:", err.message);
+  }
+};
+
+/**
+ * Absolute path of a locally stored file, confined to the uploads directory
+ * @param {Object} file - Stored file with `path`
+ * @returns {string}
+ */
+export const localFilePath = (file) => {
+  const resolved = path.resolve(UPLOAD_DIR, file.path);
+  if (!resolved.startsWith(UPLOAD_DIR + path.sep)) throw new Error("Invalid file path");
+  return resolved;
+};
+
+/**
+ * Short-lived download URL for a private Cloudinary file
+ * @param {Object} file - Stored file with `publicId`, `resourceType` and `format`
+ * @param {number} [expiresInSeconds] - URL lifetime
+ * @returns {string}
+ */
+export const privateFileUrl = (file, expiresInSeconds = 300) =>
+  cloudinary.utils.private_download_url(file.publicId, file.format, {
+    resource_type: file.resourceType,
+    type: "private",
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+
+/**
+ * Random name for a stored file, prefixed with its owner
+ * @param {string} ownerId - User the file belongs to
+ * @returns {string}
+ */
+export const storageName = (ownerId) => `${ownerId}_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`;
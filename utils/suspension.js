@@ -0,0 +1,86 @@
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+
+export const SUSPENDED_CODE = "ACCOUNT_SUSPENDED";
+const APPEAL_TOKEN_TTL = "1h"; // a new one comes with every login attempt
+const DEFAULT_LIFT_INTERVAL_MINUTES = 5;
+
+/**
+ * Whether a user is suspended right now (expired suspensions no longer count)
+ * @param {Object} user - User document with `suspended` and `suspension`
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isSuspensionActive = (user, now = new Date()) => {
+  if (!user?.suspended) return false;
+  const expiresAt = user.suspension?.expiresAt;
+  return !expiresAt || expiresAt > now;
+};
+
+/**
+ * Error payload returned to a suspended user by the API and sockets
+ * @param {Object} user - Suspended user
+ * @returns {{message: string, code: string, reason: string|null, suspendedAt: Date|null, suspendedUntil: Date|null}}
+ */
+export const suspensionError = (user) => {
+  const until = user.suspension?.expiresAt || null;
+  return {
+    message: until
+      ? `Your account is suspended until ${until.toISOString()}`
+      : "Your account is suspended",
+    code: SUSPENDED_CODE,
+    reason: user.suspension?.reason || null,
+    suspendedAt: user.suspension?.startedAt || null,
+    suspendedUntil: until,
+  };
+};
+
+/**
+ * Lift a single suspension whose expiry has passed
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+export const liftExpiredSuspension = async (userId) => {
+  await User.updateOne(
+    { _id: userId, suspended: true, "suspension.expiresAt": { $lte: new Date() } },
+    { $set: { suspended: false }, $unset: { suspension: 1 } }
+  );
+};
+
+/**
+ * Lift every suspension whose expiry has passed
+ * @returns {Promise<number>} Number of users reinstated
+ */
+export const liftExpiredSuspensions = async () => {
+  const result = await User.updateMany(
+    { suspended: true, "suspension.expiresAt": { $lte: new Date() } },
+    { $set: { suspended: false }, $unset: { suspension: 1 } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Periodically lift expired suspensions (SUSPENSION_LIFT_INTERVAL_MINUTES, default 5)
+ * @returns {NodeJS.Timeout}
+ */
+export const scheduleSuspensionLifts = () => {
+  const minutes = parseInt(process.env.SUSPENSION_LIFT_INTERVAL_MINUTES || "", 10) || DEFAULT_LIFT_INTERVAL_MINUTES;
+  const timer = setInterval(async () => {
+    try {
+      const lifted = await liftExpiredSuspensions();
+      if (lifted) console.log(`Lifted ${lifted} expired suspension(s)`);
+    } catch (err) {
+      console.error("Suspension lift job error:", err.message);
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Short-lived token a suspended user can only use to file an appeal
+ * @param {Object} user - Suspended user
+ * @returns {string}
+ */
+export const signAppealToken = (user) =>
+  jwt.sign({ _id: user._id, scope: "appeal" }, process.env.JWT_SECRET, { expiresIn: APPEAL_TOKEN_TTL });
@@ -0,0 +1,28 @@
+/**
+ * Check whether a string is an IANA timezone this runtime understands
+ * @param {string} timezone - e.g. "Asia/Kathmandu"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calendar day in a timezone
+ * @param {string} [timezone] - IANA timezone, UTC when missing or invalid
+ * @param {Date} [date] - Reference time
+ * @returns {string} Day as YYYY-MM-DD
+ */
+export const localDay = (timezone, date = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: isValidTimezone(timezone) ? timezone : "UTC",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits),
+// compatible with Google Authenticator, 1Password, Authy, etc.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding and spaces ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random 160-bit secret, base32 encoded
+ * @returns {string}
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a timestamp falls into
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {number}
+ */
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * One-time code for a given time step (RFC 4226 HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(binary).padStart(DIGITS, "0");
+};
+
+/**
+ * Check a code against the current step and one step either side (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @param {number} [options.window] - Steps accepted either side of now
+ * @returns {number|null} The matching step, or null
+ */
+export const verifyTotp = (secret, code, { afterStep = 0, window = 1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step += 1) {
+    if (step <= afterStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for QR codes in authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (email or username)
+ * @param {string} [issuer] - Service name shown in the app
+ * @returns {string}
+ */
+export const totpUri = (secret, account, issuer = "Vauju") =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}&issuer=${encodeURIComponent(
+    issuer
+  )}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import { generateTotpSecret, verifyTotp, totpUri } from "./totp.js";
+
+// Shared by users and admins; both embed models/TwoFactor.js as `twoFactor`
+export const TWO_FACTOR_SELECT = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(String(code).toLowerCase().replace(/[\s-]/g, "")).digest("hex");
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * Start enrollment: store a pending secret and return what the authenticator app needs.
+ * The caller saves the document.
+ * @param {Object} doc - User or Admin document loaded with TWO_FACTOR_SELECT
+ * @param {string} account - Label shown in the authenticator app
+ * @returns {{secret: string, otpauthUrl: string}}
+ */
+export const beginTwoFactorSetup = (doc, account) => {
+  const secret = generateTotpSecret();
+  doc.twoFactor = { ...(doc.twoFactor?.toObject?.() || doc.twoFactor || {}), pendingSecret: secret };
+  return { secret, otpauthUrl: totpUri(secret, account) };
+};
+
+/**
+ * Finish enrollment with a code from the app. The caller saves the document.
+ * @param {Object} doc - User or Admin document loaded with TWO_FACTOR_SELECT
+ * @param {string} code - Current TOTP code
+ * @returns {Array<string>|null} Plain-text recovery codes (shown once), or null if the code is wrong
+ */
+export const confirmTwoFactorSetup = (doc, code) => {
+  const pending = doc.twoFactor?.pendingSecret;
+  const step = verifyTotp(pending, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  doc.twoFactor = {
+    enabled: true,
+    secret: pending,
+    pendingSecret: undefined,
+    recoveryCodes: recoveryCodes.map(hashCode),
+    lastUsedStep: step,
+    enabledAt: new Date(),
+  };
+  return recoveryCodes;
+};
+
+/**
+ * Check a login code: a TOTP code, or an unused recovery code (which is then consumed).
+ * Updates the document when a code is accepted; the caller saves it.
+ * @param {Object} doc - User or Admin document loaded with TWO_FACTOR_SELECT
+ * @param {string} code - TOTP or recovery code
+ * @returns {"totp"|"recovery"|null} How the code was accepted, or null
+ */
+export const checkTwoFactorCode = (doc, code) => {
+  const tf = doc.twoFactor;
+  if (!tf?.enabled || !code) return null;
+
+  const step = verifyTotp(tf.secret, code, { afterStep: tf.lastUsedStep || 0 });
+  if (step !== null) {
+    tf.lastUsedStep = step;
+    return "totp";
+  }
+
+  const hash = hashCode(code);
+  const remaining = tf.recoveryCodes || [];
+  if (remaining.includes(hash)) {
+    tf.recoveryCodes = remaining.filter((h) => h !== hash);
+    return "recovery";
+  }
+  return null;
+};
+
+/**
+ * Turn two-factor authentication off. The caller saves the document.
+ * @param {Object} doc - User or Admin document
+ */
+export const disableTwoFactor = (doc) => {
+  doc.twoFactor = { enabled: false, lastUsedStep: 0 };
+};